@@ -0,0 +1,4484 @@
+// Based on the documenter.js generated by Documenter.jl. As makedocs regenerates that,
+// deps/document.sh copies this over it (with the other assets in deps/assets).
+
+// Every library is loaded from its CDN, falling back to the copy vendored under
+// assets/vendor (by deps/vendor.js) if the CDN can't be reached. In the local-asset mode
+// (building the docs with DOCUMENTER_LOCAL_ASSETS=true, which makes deps/local_assets.js
+// set it in each page) the CDN is skipped altogether, which is what air-gapped
+// installations want.
+var documenterLocalAssets = window.DOCUMENTER_LOCAL_ASSETS === true;
+
+function documenter_asset_paths(cdn_path, local_path) {
+  return documenterLocalAssets ? [local_path] : [cdn_path, local_path];
+}
+
+requirejs.config({
+  paths: {
+    'highlight-julia': documenter_asset_paths(
+      'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/languages/julia.min',
+      'vendor/highlight.js/11.8.0/languages/julia.min'
+    ),
+    'headroom': documenter_asset_paths(
+      'https://cdnjs.cloudflare.com/ajax/libs/headroom/0.12.0/headroom.min',
+      'vendor/headroom/0.12.0/headroom.min'
+    ),
+    'jqueryui': documenter_asset_paths(
+      'https://cdnjs.cloudflare.com/ajax/libs/jqueryui/1.13.2/jquery-ui.min',
+      'vendor/jqueryui/1.13.2/jquery-ui.min'
+    ),
+    'katex-auto-render': documenter_asset_paths(
+      'https://cdnjs.cloudflare.com/ajax/libs/KaTeX/0.16.8/contrib/auto-render.min',
+      'vendor/KaTeX/0.16.8/contrib/auto-render.min'
+    ),
+    'jquery': documenter_asset_paths(
+      'https://cdnjs.cloudflare.com/ajax/libs/jquery/3.7.0/jquery.min',
+      'vendor/jquery/3.7.0/jquery.min'
+    ),
+    'headroom-jquery': documenter_asset_paths(
+      'https://cdnjs.cloudflare.com/ajax/libs/headroom/0.12.0/jQuery.headroom.min',
+      'vendor/headroom/0.12.0/jQuery.headroom.min'
+    ),
+    'katex': documenter_asset_paths(
+      'https://cdnjs.cloudflare.com/ajax/libs/KaTeX/0.16.8/katex.min',
+      'vendor/KaTeX/0.16.8/katex.min'
+    ),
+    'highlight': documenter_asset_paths(
+      'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/highlight.min',
+      'vendor/highlight.js/11.8.0/highlight.min'
+    ),
+    'highlight-julia-repl': documenter_asset_paths(
+      'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/languages/julia-repl.min',
+      'vendor/highlight.js/11.8.0/languages/julia-repl.min'
+    ),
+    'plotly': documenter_asset_paths(
+      'https://cdnjs.cloudflare.com/ajax/libs/plotly.js/2.3.0/plotly.min',
+      'vendor/plotly.js/2.3.0/plotly.min'
+    ),
+  },
+  shim: {
+  "highlight-julia": {
+    "deps": [
+      "highlight"
+    ]
+  },
+  "katex-auto-render": {
+    "deps": [
+      "katex"
+    ]
+  },
+  "headroom-jquery": {
+    "deps": [
+      "jquery",
+      "headroom"
+    ]
+  },
+  "highlight-julia-repl": {
+    "deps": [
+      "highlight"
+    ]
+  }
+}
+});
+////////////////////////////////////////////////////////////////////////////////
+
+// Features which were lost because some library could not be loaded from either the CDN
+// or the vendored copy. These are reported in a (dismissable) notice at the bottom of the
+// page, rather than the feature just silently not working.
+const documenterAssetFeatures = {
+  jquery: "Interactive features",
+  jqueryui: "Interactive features",
+  headroom: "Navigation bar auto-hiding",
+  "headroom-jquery": "Navigation bar auto-hiding",
+  katex: "Math rendering",
+  "katex-auto-render": "Math rendering",
+  highlight: "Syntax highlighting",
+  "highlight-julia": "Syntax highlighting",
+  "highlight-julia-repl": "Syntax highlighting",
+  plotly: "Interactive graphs",
+};
+
+var documenterDegradedFeatures = [];
+
+function documenter_report_degraded(feature) {
+  if (documenterDegradedFeatures.includes(feature)) {
+    return;
+  }
+  documenterDegradedFeatures.push(feature);
+
+  // jQuery may well be the thing that failed to load, so this sticks to the plain DOM.
+  function show_notice() {
+    let notice = document.getElementById("documenter-degraded-notice");
+    if (notice === null) {
+      notice = document.createElement("div");
+      notice.id = "documenter-degraded-notice";
+      notice.classList.add("documenter-degraded-notice");
+      notice.setAttribute("role", "status");
+      const closer = document.createElement("button");
+      closer.classList.add("delete");
+      closer.setAttribute("aria-label", "Dismiss");
+      closer.addEventListener("click", function () {
+        notice.remove();
+      });
+      notice.appendChild(document.createElement("span"));
+      notice.appendChild(closer);
+      document.body.appendChild(notice);
+    }
+    notice.firstChild.textContent =
+      "Some assets could not be loaded, so these features are unavailable: " +
+      documenterDegradedFeatures.join(", ") +
+      ".";
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", show_notice);
+  } else {
+    show_notice();
+  }
+}
+
+requirejs.onError = function (err) {
+  console.error(err);
+  for (const module of err.requireModules || []) {
+    documenter_report_degraded(
+      documenterAssetFeatures[module] || "Module " + module
+    );
+  }
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// The search query syntax, which both the search worker (see worker_function, which gets the
+// lexer in its source) and the docstrings matching the current search (see search_terms)
+// understand.
+
+// Qualifiers which restrict a clause to a single field (`title:`) or to results with some
+// property (`category:`, `page:`, and the types in their signatures `takes:`, `returns:`).
+// Anything else before a `:` is just part of the term, which matters for Julia signatures such
+// as `daf::DafReader`.
+const documenter_search_qualifiers = ["title", "category", "page", "takes", "returns"];
+
+/**
+ * Split the query into clauses and `AND`/`OR` operators. A clause is a plain term, a
+ * `"quoted phrase"` or a `qualifier:value` (whose value may also be quoted), optionally
+ * negated by a leading `-`.
+ *
+ * @param {string} query
+ * @param {string[]} qualifiers
+ * @returns {object[]}
+ */
+function documenter_lex_query(query, qualifiers) {
+  let tokens = [];
+  let position = 0;
+
+  while (position < query.length) {
+    if (/\s/.test(query[position])) {
+      position++;
+      continue;
+    }
+
+    let clause = { negated: false, field: null, phrase: false, value: "" };
+    if (query[position] === "-") {
+      clause.negated = true;
+      position++;
+    }
+
+    let qualifier = /^([a-z]+):(?!:)/.exec(query.slice(position));
+    if (qualifier !== null && qualifiers.includes(qualifier[1])) {
+      clause.field = qualifier[1];
+      position += qualifier[0].length;
+    }
+
+    if (query[position] === '"') {
+      let end = query.indexOf('"', position + 1);
+      if (end < 0) {
+        throw new SyntaxError(`Unterminated quote: ${query.slice(position)}`);
+      }
+      clause.phrase = true;
+      clause.value = query.slice(position + 1, end).trim();
+      position = end + 1;
+    } else {
+      clause.value = /^[^\s"]*/.exec(query.slice(position))[0];
+      position += clause.value.length;
+      // Prefix search is always on, so `plot_*` is just `plot_`.
+      clause.value = clause.value.replace(/\*+$/, "");
+    }
+
+    if (
+      !clause.negated &&
+      !clause.phrase &&
+      clause.field === null &&
+      (clause.value === "AND" || clause.value === "OR")
+    ) {
+      tokens.push({ operator: clause.value });
+    } else if (clause.value === "") {
+      if (clause.field !== null) {
+        throw new SyntaxError(`Missing value after "${clause.field}:"`);
+      } else if (clause.phrase) {
+        throw new SyntaxError("Empty quoted phrase");
+      } else {
+        throw new SyntaxError('Missing term after "-"');
+      }
+    } else {
+      tokens.push(clause);
+    }
+  }
+
+  return tokens;
+}
+
+// The recent search queries (most recent first) are kept in localStorage under this key (see
+// remember_query).
+const search_history_key = "documenter-search-history";
+
+// Used by the copy buttons of the code blocks and of the playground.
+function copyToClipboard(text) {
+  // clipboard API is only available in secure contexts
+  if (window.navigator && window.navigator.clipboard) {
+    return window.navigator.clipboard.writeText(text);
+  } else {
+    return new Promise(function (resolve, reject) {
+      const el = document.createElement("textarea");
+      try {
+        el.textContent = text;
+        el.style.position = "fixed";
+        el.style.opacity = 0;
+        document.body.appendChild(el);
+        el.select();
+        if (!document.execCommand("copy")) {
+          throw new Error("copying is not supported");
+        }
+
+        resolve();
+      } catch (err) {
+        reject(err);
+      } finally {
+        document.body.removeChild(el);
+      }
+    });
+  }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery', 'katex', 'katex-auto-render'], function($, katex, renderMathInElement) {
+$(document).ready(function() {
+  renderMathInElement(
+    document.body,
+    {
+  "delimiters": [
+    {
+      "left": "$",
+      "right": "$",
+      "display": false
+    },
+    {
+      "left": "$$",
+      "right": "$$",
+      "display": true
+    },
+    {
+      "left": "\\[",
+      "right": "\\]",
+      "display": true
+    }
+  ]
+}
+
+  );
+})
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery', 'highlight', 'highlight-julia', 'highlight-julia-repl'], function($) {
+$(document).ready(function() {
+    hljs.highlightAll();
+})
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// Whether the button for all the docstrings collapses them (if any is expanded) or expands
+// them (see update_toggle_all_button).
+var isExpanded = true;
+
+// The docstrings the reader collapsed or expanded (by the id of their binding), so they stay
+// that way on the next visit. Collapsing or expanding all the docstrings of a page sets them
+// all.
+const docstrings_collapsed_key = "documenter-docstrings-collapsed";
+
+function load_collapsed_docstrings() {
+  let collapsed = loadStored(docstrings_collapsed_key, {});
+  return typeof collapsed === "object" && !Array.isArray(collapsed) ? collapsed : {};
+}
+
+function remember_docstrings(articles, expanded) {
+  let collapsed = load_collapsed_docstrings();
+  articles.each(function () {
+    let id = $(this).find(".docstring-binding").attr("id");
+    if (id) {
+      collapsed[id] = !expanded;
+    }
+  });
+  saveStored(docstrings_collapsed_key, collapsed);
+}
+
+function set_docstrings_expanded(articles, expanded, animationSpeed = 400) {
+  articles
+    .find(".docstring-article-toggle-button")
+    .toggleClass("fa-chevron-down", expanded)
+    .toggleClass("fa-chevron-right", !expanded)
+    .prop("title", expanded ? "Collapse docstring" : "Expand docstring");
+  if (expanded) {
+    articles.children("section").slideDown(animationSpeed);
+  } else {
+    articles.children("section").slideUp(animationSpeed);
+  }
+}
+
+$(document).on("click", ".docstring header", function (event) {
+  // Following the link to the docstring (its binding) shouldn't collapse it.
+  if ($(event.target).closest("a").not(".docstring-article-toggle-button").length > 0) {
+    return;
+  }
+
+  debounce(this, () => {
+    let article = $(this).closest(".docstring");
+    let expanded = !$(this).siblings("section").is(":visible");
+    set_docstrings_expanded(article, expanded);
+    remember_docstrings(article, expanded);
+    update_toggle_all_button();
+  });
+});
+
+$(document).on("click", ".docs-article-toggle-button", function (event) {
+  let animationSpeed = event.noToggleAnimation ? 0 : 400;
+
+  debounce(this, () => {
+    isExpanded = !isExpanded;
+    set_docstrings_expanded($(".docstring"), isExpanded, animationSpeed);
+    if (!event.noPersist) {
+      remember_docstrings($(".docstring"), isExpanded);
+    }
+    update_toggle_all_button();
+  });
+});
+
+// The docstrings may also be collapsed or expanded one by one (including when restoring their
+// remembered state), so this follows them: the button expands all of them only if they are
+// all collapsed.
+function update_toggle_all_button() {
+  let articles = $(".docstring");
+  if (articles.length > 0) {
+    isExpanded =
+      articles.find(".docstring-article-toggle-button.fa-chevron-down").length > 0;
+  }
+  $(".docs-article-toggle-button")
+    .toggleClass("fa-chevron-up", isExpanded)
+    .toggleClass("fa-chevron-down", !isExpanded)
+    .prop("title", isExpanded ? "Collapse all docstrings" : "Expand all docstrings");
+}
+
+// Ignore repeated clicks on an element while it is still animating (but not clicks on other
+// elements, e.g. when quickly collapsing two docstrings).
+function debounce(element, callback, timeout = 300) {
+  let timer = $(element).data("debounce-timer") || 0;
+  if (Date.now() - timer > timeout) {
+    callback();
+  }
+
+  $(element).data("debounce-timer", Date.now());
+}
+
+// Following a link to a (collapsed) docstring, or to something inside one, expands it.
+function expand_targeted_docstring() {
+  let id = decodeURIComponent(window.location.hash.slice(1));
+  let target = id === "" ? null : document.getElementById(id);
+  if (target === null) {
+    return;
+  }
+  let article = $(target).closest(".docstring");
+  if (article.length === 0 || article.children("section").is(":visible")) {
+    return;
+  }
+  set_docstrings_expanded(article, true, 0);
+  update_toggle_all_button();
+  target.scrollIntoView();
+}
+
+$(window).on("hashchange", expand_targeted_docstring);
+
+// The current search is the query of the search modal, if it was used on this page, or else
+// the one the page was opened with, or else the most recent one (see remember_query).
+let current_search = new URLSearchParams(window.location.search).get("q");
+if (!current_search) {
+  let history = loadStored(search_history_key, []);
+  current_search = Array.isArray(history) && typeof history[0] === "string" ? history[0] : null;
+}
+
+$(document).on("documenter-search-closed", function (event, querystring) {
+  if (querystring && querystring.trim() !== "") {
+    current_search = querystring.trim();
+    update_match_button();
+  }
+});
+
+// The terms and phrases of a query which a docstring should contain: not the qualified ones
+// (which are about the search results, e.g. `category:type`), the excluded ones or the
+// `AND`/`OR` operators. A query with a syntax error has none.
+function search_terms(query) {
+  let tokens;
+  try {
+    tokens = documenter_lex_query(query, documenter_search_qualifiers);
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      return [];
+    }
+    throw err;
+  }
+  return tokens
+    .filter((token) => !token.operator && !token.negated && token.field === null)
+    .map((token) => token.value.toLowerCase());
+}
+
+function update_match_button() {
+  let button = $("#documenter-article-match-button");
+  if (typeof current_search !== "string" || search_terms(current_search).length === 0) {
+    button.addClass("is-hidden");
+    return;
+  }
+  button
+    .removeClass("is-hidden")
+    .prop("title", `Expand only the docstrings matching "${current_search}"`);
+}
+
+// Expand only the docstrings which match the current search, to skim through the results.
+// This doesn't change the remembered state of the docstrings.
+function expand_matching_docstrings() {
+  let terms = search_terms(current_search);
+  let articles = $(".docstring");
+  let matching = articles.filter(function () {
+    let text = $(this).text().toLowerCase();
+    return terms.every((term) => text.includes(term));
+  });
+  set_docstrings_expanded(articles.not(matching), false);
+  set_docstrings_expanded(matching, true);
+  update_toggle_all_button();
+  if (matching.length > 0) {
+    matching.get(0).scrollIntoView();
+  }
+}
+
+$(document).ready(function () {
+  let meta = $("div[data-docstringscollapsed]").data();
+
+  if (meta?.docstringscollapsed) {
+    $("#documenter-article-toggle-button").trigger({
+      type: "click",
+      noToggleAnimation: true,
+      noPersist: true,
+    });
+  }
+
+  let collapsed = load_collapsed_docstrings();
+  $(".docstring").each(function () {
+    let id = $(this).find(".docstring-binding").attr("id");
+    if (id in collapsed) {
+      set_docstrings_expanded($(this), !collapsed[id], 0);
+    }
+  });
+
+  expand_targeted_docstring();
+  update_toggle_all_button();
+
+  if ($(".docstring").length > 0) {
+    $(
+      `<a class="docs-navbar-link fa-solid fa-filter is-hidden" id="documenter-article-match-button" href="javascript:;"></a>`
+    )
+      .click(expand_matching_docstrings)
+      .insertAfter("#documenter-article-toggle-button");
+    update_match_button();
+  }
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require([], function() {
+function addCopyButtonCallbacks() {
+  for (const el of document.getElementsByTagName("pre")) {
+    addCopyButton(el, "fa-copy", "Copy", "Copy this code block", () => el.innerText);
+
+    // For REPL examples, also offer to copy just what was typed, to paste into a script.
+    if (isReplBlock(el)) {
+      addCopyButton(
+        el,
+        "fa-terminal",
+        "Copy the input only (without the julia> prompts and the output)",
+        "Copy the input of this REPL example",
+        () => replInput(el.innerText)
+      ).classList.add("copy-input-button");
+    }
+  }
+
+  addDownloadExamplesButton();
+}
+
+function addCopyButton(el, icon, title, label, getText) {
+  const button = document.createElement("button");
+  button.classList.add("copy-button", "fa-solid", icon);
+  button.setAttribute("aria-label", label);
+  button.setAttribute("title", title);
+
+  el.appendChild(button);
+
+  const success = function () {
+    button.classList.add("success", "fa-check");
+    button.classList.remove(icon);
+  };
+
+  const failure = function () {
+    button.classList.add("error", "fa-xmark");
+    button.classList.remove(icon);
+  };
+
+  button.addEventListener("click", function () {
+    copyToClipboard(getText()).then(success, failure);
+
+    setTimeout(function () {
+      button.classList.add(icon);
+      button.classList.remove("success", "fa-check", "fa-xmark");
+    }, 5000);
+  });
+
+  return button;
+}
+
+function isReplBlock(el) {
+  const code = el.querySelector("code");
+  return (
+    (code !== null && code.classList.contains("language-julia-repl")) ||
+    /^julia> /.test(el.innerText)
+  );
+}
+
+// The input lines of a REPL example: those after a `julia> ` prompt, and their continuation
+// lines (which are indented to align with the prompt). Everything else is output.
+function replInput(text) {
+  const input = [];
+  let isInput = false;
+  for (const line of text.split("\n")) {
+    if (line.startsWith("julia> ")) {
+      isInput = true;
+      input.push(line.slice(7));
+    } else if (isInput && line.startsWith("       ")) {
+      input.push(line.slice(7));
+    } else {
+      isInput = false;
+    }
+  }
+  return input.join("\n") + "\n";
+}
+
+// The Julia code blocks of the page as one script, each preceded by a comment with the
+// docstring or section it is in. The leading block of a docstring is its signature, which
+// isn't runnable, so it is commented out.
+function examplesScript() {
+  const article = document.querySelector("article.content");
+  if (article === null) {
+    return null;
+  }
+
+  const lines = [`# The examples of ${document.title}`, `# ${window.location.href.split("#")[0]}`];
+  let section = null;
+  let lastSection = null;
+  let hasCode = false;
+  for (const el of article.querySelectorAll("h1, h2, h3, pre")) {
+    if (el.tagName !== "PRE") {
+      section = el.innerText.trim();
+      continue;
+    }
+    const code = el.querySelector("code");
+    if (
+      code === null ||
+      !(
+        code.classList.contains("language-julia") ||
+        code.classList.contains("language-julia-repl")
+      )
+    ) {
+      continue;
+    }
+
+    const docstring = el.closest(".docstring");
+    const binding = docstring && docstring.querySelector(".docstring-binding");
+    const blockSection = binding ? binding.innerText.trim() : section;
+    if (blockSection !== lastSection && blockSection !== null) {
+      lines.push("", `# ${blockSection}`);
+      lastSection = blockSection;
+    }
+
+    let text = isReplBlock(el) ? replInput(code.innerText) : code.innerText;
+    const isSignature =
+      docstring !== null &&
+      el.parentElement.firstElementChild === el &&
+      el.parentElement.parentElement.tagName === "SECTION";
+    if (isSignature) {
+      text = text
+        .trimEnd()
+        .split("\n")
+        .map((line) => `# ${line}`)
+        .join("\n");
+    }
+    lines.push("", text.trimEnd());
+    hasCode = true;
+  }
+
+  return hasCode ? lines.join("\n") + "\n" : null;
+}
+
+function addDownloadExamplesButton() {
+  const settings = document.getElementById("documenter-settings-button");
+  if (settings === null || examplesScript() === null) {
+    return;
+  }
+
+  const button = document.createElement("a");
+  button.id = "documenter-download-examples-button";
+  button.classList.add("docs-navbar-link", "fa-solid", "fa-download");
+  button.href = "javascript:;";
+  button.title = "Download all the examples of this page as a Julia script";
+  button.addEventListener("click", function () {
+    const page = window.location.pathname.split("/").pop().replace(/\.html$/, "");
+    const url = URL.createObjectURL(
+      new Blob([examplesScript()], { type: "text/x-julia" })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${page || "index"}.jl`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  });
+  settings.parentNode.insertBefore(button, settings);
+}
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", addCopyButtonCallbacks);
+} else {
+  addCopyButtonCallbacks();
+}
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery', 'headroom', 'headroom-jquery'], function($, Headroom) {
+
+// Manages the top navigation bar (hides it when the user starts scrolling down on the
+// mobile).
+window.Headroom = Headroom; // work around buggy module loading?
+$(document).ready(function () {
+  $("#documenter .docs-navbar").headroom({
+    tolerance: { up: 10, down: 10 },
+  });
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+/*
+To get an in-depth about the thought process you can refer: https://hetarth02.hashnode.dev/series/gsoc
+
+PSEUDOCODE:
+
+Searching happens automatically as the user types or adjusts the selected filters.
+To preserve responsiveness, as much as possible of the slow parts of the search are done
+in a web worker. Searching and result generation are done in the worker, and filtering and
+DOM updates are done in the main thread. The filters are in the main thread as they should
+be very quick to apply. This lets filters be changed without re-searching with minisearch
+(which is possible even if filtering is on the worker thread) and also lets filters be
+changed _while_ the worker is searching and without message passing (neither of which are
+possible if filtering is on the worker thread)
+
+SEARCH WORKER:
+
+Import minisearch
+
+Load the index (cached in IndexedDB, pre-serialized, or built from scratch, in that order)
+
+On message from main thread
+  parse the query (qualifiers, phrases, exclusions, AND/OR); post back any syntax error
+  run search
+  find the unique results from each category, with their category and page
+    note that this is necessary and sufficient information for the main thread to filter
+    and count the results for any given filter set
+  compute the divs for display of the first batch of results
+  post results to main thread
+
+On render message from main thread
+  compute the divs of the requested results of the last search and post them back (none
+    if these are of an older search, as the main thread then gets the newer results next)
+
+MAIN:
+
+Launch worker
+
+Declare nonconstant globals (worker_is_running,  last_search_text, unfiltered_results,
+  rendering_results)
+
+On text update
+  if worker is not running, launch_search()
+
+launch_search
+  set worker_is_running to true, set last_search_text to the search text
+  post the search query to worker, numbered so its results can be told apart
+
+on rendered results from worker
+  set rendering_results to false
+  if these are of the shown search results, show them
+  update_search()
+
+on search results from worker
+  if last_search_text is not the same as the text in the search field,
+    the latest search result is not reflective of the latest search query, so update again
+    launch_search()
+  otherwise
+    set worker_is_running to false
+
+  regardless, display the new search results to the user
+  save the unfiltered_results as a global
+  update_search()
+
+on filter click
+  adjust the filter selection
+  update_search()
+
+on scrolling to the end of the results
+  show another batch of results
+  update_search()
+
+update_search
+  apply search filters by looping through the unfiltered_results and finding the unique
+    results that match the filters
+
+  if the worker didn't render some of the results to show yet, ask it to
+
+  Update the DOM
+*/
+
+/////// SEARCH WORKER ///////
+
+function worker_function(
+  documenterSearchIndex,
+  documenterBaseURL,
+  filters,
+  asset_urls,
+  results_batch_size,
+  qualifiers
+) {
+  // Try the CDN first and then the vendored copy (or just the latter in local-asset mode).
+  // If neither loads (or the options don't) there is no point in building the index; every
+  // query gets an error.
+  let load_error = null;
+  for (let url of asset_urls.minisearch) {
+    try {
+      importScripts(url);
+      load_error = null;
+      break;
+    } catch (err) {
+      load_error = `Search is unavailable (could not load ${url}).`;
+    }
+  }
+
+  if (load_error === null) {
+    try {
+      importScripts(asset_urls.options);
+    } catch (err) {
+      load_error = `Search is unavailable (could not load ${asset_urls.options}).`;
+    }
+  }
+
+  if (load_error !== null) {
+    self.onmessage = function () {
+      postMessage({ error: load_error });
+    };
+    return;
+  }
+
+  const minisearch_options = documenter_minisearch_options();
+
+  /**
+   * Load the index, preferring (in order) the copy cached in IndexedDB by a previous page,
+   * the serialized index generated together with the docs (search_index.minisearch.json),
+   * and finally building it from scratch out of the documents. The cached copy is only
+   * used if it has the same generation timestamp as the docs (from
+   * .documenter-siteinfo.json) and was built with the same options, so it is rebuilt
+   * exactly when the docs are regenerated (or the options change).
+   * Every step is optional; if e.g. IndexedDB is not available, we just skip it.
+   *
+   * @returns {Promise<MiniSearch>}
+   */
+  async function load_index() {
+    let generation_timestamp = await fetch_generation_timestamp();
+    if (generation_timestamp !== null) {
+      let cached = await cached_index(generation_timestamp);
+      if (cached !== null) {
+        try {
+          return MiniSearch.loadJSON(cached, minisearch_options);
+        } catch (err) {
+          // A corrupt entry; it is overwritten below.
+          console.warn("Ignoring invalid cached search index:", err);
+        }
+      }
+    }
+
+    let serialized = await fetch_serialized_index();
+    let index = null;
+    if (serialized !== null) {
+      try {
+        index = MiniSearch.loadJSON(serialized, minisearch_options);
+        if (index.documentCount !== documenterSearchIndex.length) {
+          throw new Error("stale (wrong number of documents)");
+        }
+      } catch (err) {
+        console.warn("Ignoring invalid serialized search index:", err);
+        index = null;
+        serialized = null;
+      }
+    }
+
+    if (index === null) {
+      let data = documenterSearchIndex.map((x, key) => {
+        x["id"] = key; // minisearch requires a unique for each object
+        return x;
+      });
+
+      index = new MiniSearch(minisearch_options);
+      index.addAll(data);
+      serialized = JSON.stringify(index);
+    }
+
+    if (generation_timestamp !== null) {
+      await cache_index(generation_timestamp, serialized);
+    }
+
+    return index;
+  }
+
+  async function fetch_generation_timestamp() {
+    try {
+      let response = await fetch(asset_urls.siteinfo);
+      if (!response.ok) {
+        return null;
+      }
+      let siteinfo = await response.json();
+      return siteinfo.documenter.generation_timestamp ?? null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function fetch_serialized_index() {
+    try {
+      let response = await fetch(asset_urls.serialized_index);
+      return response.ok ? await response.text() : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // The cache holds a single entry per docs version (keyed by its base URL), so entries
+  // of regenerated docs are overwritten rather than accumulating. Resolves to null if
+  // IndexedDB is not available (e.g. in some private browsing modes), which isn't an error.
+  function open_cache() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+      let request = indexedDB.open("documenter-search-index", 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore("indices");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async function cached_index(generation_timestamp) {
+    try {
+      let db = await open_cache();
+      if (db === null) {
+        return null;
+      }
+      let entry = await new Promise((resolve, reject) => {
+        let request = db
+          .transaction("indices", "readonly")
+          .objectStore("indices")
+          .get(asset_urls.base);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      db.close();
+      return entry &&
+        entry.generation_timestamp === generation_timestamp &&
+        entry.options_version === documenterMinisearchOptionsVersion
+        ? entry.index
+        : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function cache_index(generation_timestamp, serialized) {
+    try {
+      let db = await open_cache();
+      if (db === null) {
+        return;
+      }
+      await new Promise((resolve, reject) => {
+        let transaction = db.transaction("indices", "readwrite");
+        transaction
+          .objectStore("indices")
+          .put(
+            {
+              generation_timestamp: generation_timestamp,
+              options_version: documenterMinisearchOptionsVersion,
+              index: serialized,
+            },
+            asset_urls.base
+          );
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+      db.close();
+    } catch (err) {
+      console.warn("Failed to cache the search index:", err);
+    }
+  }
+
+  const index_promise = load_index();
+  // A failure is reported to the main thread with the next search (see onmessage below), so it
+  // isn't an unhandled rejection if that comes later.
+  index_promise.catch(() => {});
+
+  /**
+   *  Used to map characters to HTML entities.
+   * Refer: https://github.com/lodash/lodash/blob/main/src/escape.ts
+   */
+  const htmlEscapes = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  };
+
+  /**
+   * Used to match HTML entities and HTML characters.
+   * Refer: https://github.com/lodash/lodash/blob/main/src/escape.ts
+   */
+  const reUnescapedHtml = /[&<>"']/g;
+  const reHasUnescapedHtml = RegExp(reUnescapedHtml.source);
+
+  /**
+   * Escape function from lodash
+   * Refer: https://github.com/lodash/lodash/blob/main/src/escape.ts
+   */
+  function escape(string) {
+    return string && reHasUnescapedHtml.test(string)
+      ? string.replace(reUnescapedHtml, (chr) => htmlEscapes[chr])
+      : string || "";
+  }
+
+  /**
+   * Make the result component given a minisearch result data object and the terms to
+   * highlight in it. To view the result object structure, refer:
+   * https://lucaong.github.io/minisearch/modules/_minisearch_.html#searchresult
+   *
+   * If the result matched a `takes:` or `returns:` clause, the matched signature fragment
+   * is shown instead of the text around the matches. If the result was found by searching
+   * for a shorthand alias, the alias is shown as well. When searching all versions, the
+   * version of the result is shown next to its category.
+   *
+   * @param {object} result
+   * @param {object} highlights The `title` and `text` terms to highlight (see
+   *   `result_highlights`).
+   * @param {string|null} fragment
+   * @param {object|null} alias
+   * @param {string|null} version
+   * @returns string
+   */
+  function make_search_result(
+    result,
+    highlights,
+    fragment = null,
+    alias = null,
+    version = null
+  ) {
+    let search_divider = `<div class="search-divider w-100"></div>`;
+    let display_link =
+      result.location.slice(Math.max(0), Math.min(50, result.location.length)) +
+      (result.location.length > 30 ? "..." : ""); // To cut-off the link because it messes with the overflow of the whole div
+
+    if (result.page !== "") {
+      display_link += ` (${result.page})`;
+    }
+
+    let display_title = highlight_matches(
+      result.title,
+      find_matches(result.title, highlights.title)
+    );
+
+    let display_result = "";
+    if (fragment !== null) {
+      display_result = fragment;
+    } else {
+      let matches = find_matches(result.text, highlights.text);
+      if (matches.length > 0) {
+        let [start, end] = snippet_window(result.text, matches);
+        display_result =
+          (start > 0 ? "..." : "") +
+          highlight_matches(result.text, matches, start, end) +
+          (end < result.text.length ? "..." : "");
+      }
+    }
+
+    let in_code = false;
+    if (!["page", "section"].includes(result.category.toLowerCase())) {
+      in_code = true;
+    }
+
+    // We encode the full url to escape some special characters which can lead to broken links
+    let result_div = `
+        <a href="${encodeURI(
+          documenterBaseURL + "/" + result.location
+        )}" class="search-result-link w-100 is-flex is-flex-direction-column gap-2 px-4 py-2">
+          <div class="w-100 is-flex is-flex-wrap-wrap is-justify-content-space-between is-align-items-flex-start">
+            <div class="search-result-title has-text-weight-bold ${
+              in_code ? "search-result-code-title" : ""
+            }">${display_title}</div>
+            ${
+              alias === null
+                ? ""
+                : `<div class="search-result-alias">${escape(
+                    alias.alias
+                  )} → ${escape(alias.target)}</div>`
+            }
+            <div class="is-flex gap-2">
+              ${
+                version === null
+                  ? ""
+                  : `<div class="property-search-result-badge search-result-version">${escape(
+                      version
+                    )}</div>`
+              }
+              <div class="property-search-result-badge">${result.category}</div>
+            </div>
+          </div>
+          <p>
+            ${display_result}
+          </p>
+          <div
+            class="has-text-left"
+            style="font-size: smaller;"
+            title="${result.location}"
+          >
+            <i class="fas fa-link"></i> ${display_link}
+          </div>
+        </a>
+        ${search_divider}
+      `;
+
+    return result_div;
+  }
+
+  const filter_qualifiers = ["category", "page", "takes", "returns"];
+
+  const categories = filters.map((filter) => filter.toLowerCase());
+  const pages = [...new Set(documenterSearchIndex.map((x) => x.page))];
+
+  // A Julia type expression, allowing for a few levels of nested `{...}` parameters.
+  const type_pattern =
+    "[A-Za-z_][\\w.]*(?:\\{(?:[^{}]|\\{(?:[^{}]|\\{[^{}]*\\})*\\})*\\})?";
+
+  /**
+   * Parse the Julia signatures in the docstring of a function, e.g.
+   * `plot_metacells_gene_gene(daf::DafReader [...])::PointsGraph`. Each is a line starting
+   * with the function name (optionally preceded by `function`). Other entries have none.
+   *
+   * @param {object} entry An entry of the search index.
+   * @returns {object[]} The `name`, `arguments` and `returns` (or `null`) of each signature,
+   *   where each argument and the returned value have their `text` (`name::Type`) and the
+   *   `types` named in it.
+   */
+  function parse_signatures(entry) {
+    if (entry.category !== "function") {
+      return [];
+    }
+
+    let name = entry.title.split(".").pop();
+    let escaped_name = escape_regexp(name);
+    let start_pattern = new RegExp(
+      `^(?:function\\s+)?${escaped_name}\\(`,
+      "gm"
+    );
+    let signatures = [];
+
+    let start;
+    while ((start = start_pattern.exec(entry.text)) !== null) {
+      // Find the matching `)`; brackets don't matter as they mark optional arguments, and
+      // are not always balanced within the parentheses.
+      let depth = 1;
+      let end = start_pattern.lastIndex;
+      for (; end < entry.text.length && depth > 0; end++) {
+        if (entry.text[end] === "(") {
+          depth++;
+        } else if (entry.text[end] === ")") {
+          depth--;
+        }
+      }
+      let parameters = entry.text.slice(start_pattern.lastIndex, end - 1);
+
+      let args = [];
+      let typed = new RegExp(`([A-Za-z_]\\w*!?)\\s*::\\s*(${type_pattern})`, "g");
+      let match;
+      while ((match = typed.exec(parameters)) !== null) {
+        args.push(make_typed(match[1], match[2]));
+      }
+      // Untyped arguments whose default is a constructor call, such as
+      // `configuration = PointsGraphConfiguration()`, are as good as typed.
+      let constructed = /(?:^|[\s\[,;(])([A-Za-z_]\w*)\s*=\s*([A-Z]\w*)\(/g;
+      while ((match = constructed.exec(parameters)) !== null) {
+        if (!args.some((arg) => arg.name === match[1])) {
+          args.push(make_typed(match[1], match[2]));
+        }
+      }
+
+      let returned = new RegExp(`^::\\s*(${type_pattern})`).exec(
+        entry.text.slice(end)
+      );
+
+      signatures.push({
+        name: name,
+        arguments: args,
+        returns: returned === null ? null : make_typed(null, returned[1]),
+      });
+    }
+
+    return signatures;
+  }
+
+  function make_typed(name, type) {
+    return {
+      name: name,
+      text: name === null ? type : `${name}::${type}`,
+      types: type.match(/[A-Za-z_]\w*/g).map((x) => x.toLowerCase()),
+    };
+  }
+
+  // Indexed by the document id.
+  const signatures = documenterSearchIndex.map(parse_signatures);
+
+  // The entries of this version come first in the index; those of other versions (if any)
+  // are added after them by add_versions.
+  const own_entries_count = documenterSearchIndex.length;
+
+  // The other versions whose entries were added to the index, or null if we didn't try yet.
+  let added_versions = null;
+
+  /**
+   * Add the entries of other versions of the docs (their search_index.js, next to ours) to
+   * the index, the first time we search all versions. Each entry is tagged with its version,
+   * and its location is made relative to this version. Versions with the same entries as
+   * one we already have (e.g. `stable` and the latest release) are skipped, as are versions
+   * which fail to load.
+   *
+   * @param {object} index The MiniSearch index.
+   * @param {object} versions The `current` version and the names of the `others`.
+   */
+  function add_versions(index, versions) {
+    if (added_versions !== null) {
+      return;
+    }
+    added_versions = [];
+
+    let known = new Set([entries_key(documenterSearchIndex)]);
+    for (let entry of documenterSearchIndex) {
+      entry.version = versions.current;
+    }
+
+    for (let version of versions.others) {
+      let docs;
+      try {
+        // This sets a global `documenterSearchIndex`, which our argument of the same name hides.
+        self.documenterSearchIndex = undefined;
+        importScripts(`${asset_urls.base}../${version}/search_index.js`);
+        docs = self.documenterSearchIndex.docs;
+      } catch (err) {
+        console.warn(`Failed to load the search index of ${version}:`, err);
+        continue;
+      }
+
+      let key = entries_key(docs);
+      if (known.has(key)) {
+        continue;
+      }
+      known.add(key);
+      added_versions.push(version);
+
+      let data = docs.map((x) => {
+        let entry = {
+          ...x,
+          location: `../${version}/${x.location}`,
+          version: version,
+        };
+        let id = documenterSearchIndex.length;
+        documenterSearchIndex.push(entry);
+        signatures.push(parse_signatures(entry));
+        return { id: id, ...entry };
+      });
+      index.addAll(data);
+    }
+  }
+
+  // What identifies the entries of a version, leaving out what we add to them (their `id`
+  // and `version`).
+  function entries_key(docs) {
+    return JSON.stringify(
+      docs.map((entry) => [entry.location, entry.page, entry.title, entry.category, entry.text])
+    );
+  }
+
+  /**
+   * Collect the shorthand aliases (`MCGraphs.Shorthands`) from their entries in the index,
+   * whose docstrings read "Shorthand for `BarGraphConfiguration`.".
+   *
+   * @returns {Map<string, object>} The `alias`, its full `target` name, and the `id` of
+   *   the target's entry (if any), keyed by the lower-case alias.
+   */
+  function collect_aliases() {
+    let aliases = new Map();
+    for (let entry of documenterSearchIndex) {
+      let alias = /\.Shorthands\.(\w+)$/.exec(entry.title);
+      let target = /^Shorthand for (\w+)/.exec(entry.text);
+      if (alias === null || target === null) {
+        continue;
+      }
+      let id = documenterSearchIndex.findIndex(
+        (other) =>
+          other.title.endsWith("." + target[1]) &&
+          !other.title.includes(".Shorthands.")
+      );
+      aliases.set(alias[1].toLowerCase(), {
+        alias: alias[1],
+        target: target[1],
+        id: id < 0 ? null : id,
+      });
+    }
+    return aliases;
+  }
+
+  const aliases = collect_aliases();
+
+  // Search for the full name instead of a (whole) shorthand alias.
+  function resolve_alias(clause) {
+    let alias = aliases.get(clause.value.toLowerCase());
+    if (
+      alias !== undefined &&
+      !clause.phrase &&
+      (clause.field === null || clause.field === "title")
+    ) {
+      clause.alias = alias;
+      clause.value = alias.target;
+    }
+  }
+
+  function matches_signature(signature, clause) {
+    let value = clause.value.toLowerCase();
+    if (clause.field === "takes") {
+      return signature.arguments.some((arg) => arg.types.includes(value));
+    } else {
+      return signature.returns !== null && signature.returns.types.includes(value);
+    }
+  }
+
+  /**
+   * Render the fragments of the signatures of a result which matched the (positive)
+   * `takes:` and `returns:` clauses, e.g. `plot_box_box(daf::DafReader, …)::PointsGraph`.
+   *
+   * @returns {string|null} HTML, or `null` if there are no such clauses or matches.
+   */
+  function signature_fragment(id, clauses) {
+    let takes = clauses.filter((clause) => clause.field === "takes");
+    let returns = clauses.filter((clause) => clause.field === "returns");
+    let fragments = [];
+
+    for (let signature of signatures[id]) {
+      let matched_args = signature.arguments.filter((arg) =>
+        takes.some((clause) => matches_signature({ arguments: [arg] }, clause))
+      );
+      let matched_returns = returns.some((clause) =>
+        matches_signature(signature, clause)
+      );
+      if (matched_args.length === 0 && !matched_returns) {
+        continue;
+      }
+
+      let shown_args = matched_args.map(highlight_html);
+      if (matched_args.length < signature.arguments.length) {
+        shown_args.push("…");
+      }
+      let shown_returns =
+        signature.returns === null
+          ? ""
+          : "::" +
+            (matched_returns
+              ? highlight_html(signature.returns)
+              : escape(signature.returns.text));
+
+      fragments.push(
+        `<code>${escape(signature.name)}(${shown_args.join(", ")})${shown_returns}</code>`
+      );
+    }
+
+    return fragments.length > 0 ? fragments.join("<br>") : null;
+  }
+
+  function highlight_html(typed) {
+    return `<span class="search-result-highlight py-1">${escape(typed.text)}</span>`;
+  }
+
+  // How many characters of text to show around the matches in a result.
+  const snippet_length = 200;
+
+  function escape_regexp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  /**
+   * Which terms to highlight in each field of a result: those MiniSearch matched in it
+   * (which, for prefix and fuzzy searches, are the actual words in the entry, not what the
+   * user typed), and any phrases the user searched for.
+   *
+   * @param {object} result A MiniSearch result.
+   * @param {string[]} phrases
+   * @returns {object} The `title` and `text` terms.
+   */
+  function result_highlights(result, phrases) {
+    let highlights = { title: [...phrases], text: [...phrases] };
+    for (let term of result.terms) {
+      for (let field of result.match[term] ?? []) {
+        highlights[field]?.push(term);
+      }
+    }
+    return highlights;
+  }
+
+  /**
+   * Find all the occurrences of the terms in a string, ignoring case. Terms only match whole
+   * words, as these are what was indexed (phrases may match anywhere).
+   *
+   * @param {string} string
+   * @param {string[]} terms
+   * @returns {object[]} The sorted, non-overlapping `start`, `end` and (lower case) `term` of
+   *   each match.
+   */
+  function find_matches(string, terms) {
+    let unique = [...new Set(terms.filter((term) => term.length > 0))];
+    if (unique.length === 0) {
+      return [];
+    }
+
+    // Prefer the longest term where several match at the same place.
+    let alternatives = unique
+      .sort((a, b) => b.length - a.length)
+      .map((term) =>
+        /^[\w@!]/.test(term) && /[\w@!]$/.test(term)
+          ? `(?<![\\w@!])${escape_regexp(term)}(?![\\w@!])`
+          : escape_regexp(term)
+      );
+    let pattern = new RegExp(alternatives.join("|"), "gi");
+
+    let matches = [];
+    let match;
+    while ((match = pattern.exec(string)) !== null) {
+      matches.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        term: match[0].toLowerCase(),
+      });
+    }
+    return matches;
+  }
+
+  /**
+   * Choose which part of a text to show: the window of `snippet_length` characters with the
+   * most distinct matched terms (and then, the most matches), starting a bit before them.
+   *
+   * @param {string} text
+   * @param {object[]} matches As returned by `find_matches`.
+   * @returns {number[]} The `start` and `end` of the window.
+   */
+  function snippet_window(text, matches) {
+    let best = { start: matches[0].start, terms: 0, count: 0 };
+    for (let first = 0; first < matches.length; ++first) {
+      let start = matches[first].start;
+      let inside = matches.filter(
+        (match) => match.start >= start && match.end <= start + snippet_length
+      );
+      let terms = new Set(inside.map((match) => match.term)).size;
+      if (
+        terms > best.terms ||
+        (terms === best.terms && inside.length > best.count)
+      ) {
+        best = { start: start, terms: terms, count: inside.length };
+      }
+    }
+
+    // Show some context before the first match, without going past the end of the text.
+    let start = Math.max(
+      0,
+      Math.min(best.start - snippet_length / 4, text.length - snippet_length)
+    );
+    return [start, Math.min(start + snippet_length, text.length)];
+  }
+
+  /**
+   * Escape a (part of a) string for HTML, highlighting the matches in it.
+   *
+   * @param {string} string
+   * @param {object[]} matches As returned by `find_matches`.
+   * @param {number} start
+   * @param {number} end
+   * @returns string
+   */
+  function highlight_matches(string, matches, start = 0, end = string.length) {
+    let html = "";
+    let position = start;
+    for (let match of matches) {
+      if (match.start < start || match.end > end) {
+        continue;
+      }
+      html +=
+        escape(string.slice(position, match.start)) +
+        `<span class="search-result-highlight py-1">${escape(
+          string.slice(match.start, match.end)
+        )}</span>`;
+      position = match.end;
+    }
+    return html + escape(string.slice(position, end));
+  }
+
+  /**
+   * Parse the query into groups of clauses; a result needs to match any one of the groups
+   * (`OR` binds looser than `AND`). Within a group, all qualified, quoted and negated
+   * clauses must match. Plain terms must all match if the group uses `AND`; otherwise
+   * (the default) they are ranked the usual way, so that at least one of them must match.
+   *
+   * @param {string} query
+   * @returns {object[]}
+   */
+  function parse_query(query) {
+    let groups = [];
+    let group = { clauses: [], all_required: false };
+    let previous = null;
+
+    for (let token of documenter_lex_query(query, qualifiers)) {
+      if (token.operator) {
+        if (previous === null || previous.operator) {
+          throw new SyntaxError(
+            previous === null
+              ? `Missing term before "${token.operator}"`
+              : `Missing term between "${previous.operator}" and "${token.operator}"`
+          );
+        }
+        if (token.operator === "OR") {
+          groups.push(group);
+          group = { clauses: [], all_required: false };
+        } else {
+          group.all_required = true;
+        }
+      } else {
+        check_clause(token);
+        resolve_alias(token);
+        group.clauses.push(token);
+      }
+      previous = token;
+    }
+
+    if (previous !== null && previous.operator) {
+      throw new SyntaxError(`Missing term after "${previous.operator}"`);
+    }
+    groups.push(group);
+
+    return groups.filter((group) => group.clauses.length > 0);
+  }
+
+  function check_clause(clause) {
+    if (
+      clause.field === "category" &&
+      !categories.includes(clause.value.toLowerCase())
+    ) {
+      throw new SyntaxError(
+        `Unknown category "${clause.value}" (expected one of: ${categories.join(", ")})`
+      );
+    }
+    if (
+      clause.field === "page" &&
+      !pages.some((page) => matches_page(page, clause.value))
+    ) {
+      throw new SyntaxError(
+        `Unknown page "${clause.value}" (expected one of: ${pages.join(", ")})`
+      );
+    }
+  }
+
+  function matches_page(page, value) {
+    return page.toLowerCase().startsWith(value.toLowerCase());
+  }
+
+  /**
+   * Whether a (stored) result passes a clause which can't be expressed as a MiniSearch
+   * query: the qualifiers which filter by stored properties, and exact phrases (MiniSearch
+   * only matches whole words, in any order, while a phrase may be a part of a name).
+   */
+  function matches_clause(result, clause) {
+    let matches;
+    if (clause.field === "category") {
+      matches = result.category.toLowerCase() === clause.value.toLowerCase();
+    } else if (clause.field === "page") {
+      matches = matches_page(result.page, clause.value);
+    } else if (clause.field === "takes" || clause.field === "returns") {
+      matches = signatures[result.id].some((signature) =>
+        matches_signature(signature, clause)
+      );
+    } else if (clause.phrase) {
+      let haystack =
+        clause.field === "title"
+          ? result.title
+          : result.title + "\n" + result.text;
+      matches = haystack.toLowerCase().includes(clause.value.toLowerCase());
+    } else {
+      return true;
+    }
+    return matches !== clause.negated;
+  }
+
+  function is_filter_clause(clause) {
+    return clause.phrase || filter_qualifiers.includes(clause.field);
+  }
+
+  function clause_query(clause) {
+    let query = { queries: [clause.value] };
+    if (clause.field === "title") {
+      query.fields = ["title"];
+    }
+    if (clause.negated) {
+      // Excluding everything a fuzzy match of the term would find is way too aggressive.
+      query.fuzzy = false;
+    }
+    return query;
+  }
+
+  /**
+   * Search for the results of a single group of clauses.
+   *
+   * @returns {object[]} MiniSearch results.
+   */
+  function search_group(index, group, all_versions) {
+    let searched = group.clauses.filter((clause) => !is_filter_clause(clause));
+    let positive = searched.filter((clause) => !clause.negated);
+    let negative = searched.filter((clause) => clause.negated);
+
+    let plain = positive.filter(
+      (clause) => !group.all_required && clause.field === null
+    );
+    let required = positive
+      .filter((clause) => !plain.includes(clause))
+      .map(clause_query);
+    if (plain.length > 0) {
+      required.push({
+        queries: plain.map((clause) => clause.value),
+        combineWith: "OR",
+      });
+    }
+
+    let filter = (result) =>
+      (all_versions || result.id < own_entries_count) &&
+      group.clauses.every((clause) => matches_clause(result, clause));
+
+    if (required.length === 0) {
+      // Only filters (including phrases) and exclusions; start from all the documents.
+      let excluded = new Set(
+        negative.length === 0
+          ? []
+          : index
+              .search({
+                queries: negative.map(clause_query),
+                combineWith: "OR",
+              })
+              .map((result) => result.id)
+      );
+      return documenterSearchIndex
+        .map((x, id) => ({ ...x, id: id, score: 1, terms: [], match: {} }))
+        .filter((result) => !excluded.has(result.id) && filter(result));
+    }
+
+    let query = { queries: required, combineWith: "AND" };
+    if (negative.length > 0) {
+      query = {
+        queries: [query, ...negative.map(clause_query)],
+        combineWith: "AND_NOT",
+      };
+    }
+
+    return index.search(query, {
+      filter: (result) => {
+        // Only return relevant results
+        return result.score >= 1 && filter(result);
+      },
+    });
+  }
+
+  /**
+   * Search for the results of a whole query, best first. Results matching several groups
+   * get the best score of any of them.
+   *
+   * @returns {object[]} MiniSearch results.
+   */
+  function search_query(index, groups, all_versions) {
+    let results = new Map();
+    for (let group of groups) {
+      for (let result of search_group(index, group, all_versions)) {
+        let previous = results.get(result.id);
+        if (previous === undefined || previous.score < result.score) {
+          results.set(result.id, result);
+        }
+      }
+    }
+    results = [...results.values()].sort((a, b) => b.score - a.score);
+
+    // Searching for an alias jumps straight to the entry of its target.
+    let aliased = groups
+      .flatMap((group) => group.clauses)
+      .filter((clause) => clause.alias && !clause.negated)
+      .reverse();
+    for (let clause of aliased) {
+      let position = results.findIndex((result) => result.id === clause.alias.id);
+      if (position >= 0) {
+        let [result] = results.splice(position, 1);
+        result.alias = clause.alias;
+        results.unshift(result);
+      }
+    }
+
+    return results;
+  }
+
+  // What is needed to render each result of the last search (by the number the main thread
+  // gave it), by id. The divs are only made for the results the main thread actually shows, as
+  // it scrolls through them.
+  let last_search = null;
+  let last_results = new Map();
+
+  /**
+   * Make the divs of some results of the last search.
+   *
+   * @param {number[]} ids
+   * @returns {object} The divs by id.
+   */
+  function render_results(ids) {
+    let divs = {};
+    for (let id of ids) {
+      let entry = last_results.get(id);
+      if (entry !== undefined) {
+        divs[id] = make_search_result(
+          entry.result,
+          entry.highlights,
+          entry.fragment,
+          entry.result.alias ?? null,
+          entry.version
+        );
+      }
+    }
+    return divs;
+  }
+
+  self.onmessage = async function (e) {
+    let index;
+    try {
+      index = await index_promise;
+    } catch (err) {
+      postMessage({ error: `Search is unavailable (could not load the index: ${err.message}).` });
+      return;
+    }
+
+    if (e.data.render !== undefined) {
+      // Always reply, so the main thread knows it can ask again; there is nothing to render
+      // for an older search, as the main thread gets the results of the last one next.
+      postMessage({
+        search: e.data.search,
+        divs: e.data.search === last_search ? render_results(e.data.render) : {},
+      });
+      return;
+    }
+
+    let query = e.data.query;
+    last_search = e.data.search;
+    last_results = new Map();
+
+    let groups;
+    try {
+      groups = parse_query(query);
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) {
+        throw err;
+      }
+      postMessage({ search: last_search, results: [], query_error: err.message });
+      return;
+    }
+
+    let all_versions = e.data.versions !== null;
+    if (all_versions) {
+      add_versions(index, e.data.versions);
+    }
+    let results = search_query(index, groups, all_versions);
+
+    // The `takes:` and `returns:` clauses whose matches are shown in the results.
+    let signature_clauses = groups
+      .flatMap((group) => group.clauses)
+      .filter(
+        (clause) =>
+          !clause.negated &&
+          (clause.field === "takes" || clause.field === "returns")
+      );
+
+    // The phrases the user searched for, which are highlighted along with the matched terms.
+    let phrases = groups
+      .flatMap((group) => group.clauses)
+      .filter((clause) => !clause.negated && clause.phrase)
+      .map((clause) => clause.value);
+
+    // Deduplicate, and send just enough for the main thread to filter and count all the
+    // results. Only the first batch comes with its divs, the rest are rendered on demand.
+    let filtered_results = [];
+    let present = new Set();
+
+    for (let result of results) {
+      let key = result.category + "---" + result.location;
+      if (present.has(key)) {
+        continue;
+      }
+      present.add(key);
+      let version = all_versions
+        ? documenterSearchIndex[result.id].version
+        : null;
+      last_results.set(result.id, {
+        result: result,
+        version: version,
+        highlights: result_highlights(result, phrases),
+        fragment: signature_fragment(result.id, signature_clauses),
+      });
+      filtered_results.push({
+        id: result.id,
+        location: result.location,
+        category: result.category,
+        page: result.page,
+        version: version,
+      });
+    }
+
+    let divs = render_results(
+      filtered_results.slice(0, results_batch_size).map((result) => result.id)
+    );
+    for (let result of filtered_results) {
+      result.div = divs[result.id];
+    }
+
+    postMessage({ search: last_search, results: filtered_results, query_error: null });
+  };
+}
+
+// The worker is created from a blob, so it needs absolute URLs to fetch anything.
+const documenterAbsoluteBaseURL = new URL(
+  documenterBaseURL + "/",
+  window.location.href
+).href;
+const asset_urls = {
+  base: documenterAbsoluteBaseURL,
+  minisearch: documenter_asset_paths(
+    "https://cdn.jsdelivr.net/npm/minisearch@6.1.0/dist/umd/index.min.js",
+    documenterAbsoluteBaseURL +
+      "assets/vendor/minisearch/6.1.0/dist/umd/index.min.js"
+  ),
+  options: documenterAbsoluteBaseURL + "assets/minisearch_options.js",
+  siteinfo: documenterAbsoluteBaseURL + ".documenter-siteinfo.json",
+  serialized_index: documenterAbsoluteBaseURL + "search_index.minisearch.json",
+};
+
+// `worker = Threads.@spawn worker_function(documenterSearchIndex)`, but in JavaScript!
+const filters = [
+  ...new Set(documenterSearchIndex["docs"].map((x) => x.category)),
+];
+const page_filters = [
+  ...new Set(documenterSearchIndex["docs"].map((x) => x.page)),
+];
+// How many more results are shown each time the user scrolls to the end of them.
+const results_batch_size = 50;
+const worker_str =
+  documenter_lex_query.toString() +
+  "\n(" +
+  worker_function.toString() +
+  ")(" +
+  JSON.stringify(documenterSearchIndex["docs"]) +
+  "," +
+  JSON.stringify(documenterBaseURL) +
+  "," +
+  JSON.stringify(filters) +
+  "," +
+  JSON.stringify(asset_urls) +
+  "," +
+  JSON.stringify(results_batch_size) +
+  "," +
+  JSON.stringify(documenter_search_qualifiers) +
+  ")";
+const worker_blob = new Blob([worker_str], { type: "text/javascript" });
+const worker = new Worker(URL.createObjectURL(worker_blob));
+
+/////// SEARCH MAIN ///////
+
+// Whether the worker is currently handling a search. This is a boolean
+// as the worker only ever handles 1 or 0 searches at a time.
+var worker_is_running = false;
+
+// The last search text that was sent to the worker. This is used to determine
+// if the worker should be launched again when it reports back results.
+var last_search_text = "";
+
+// The number of the last search sent to the worker, and of the one unfiltered_results are
+// from, which the worker renders the results of.
+var last_search = 0;
+var results_search = null;
+
+// The results of the last search. This, in combination with the state of the filters
+// in the DOM, is used compute the results to display on calls to update_search. The `div`
+// of each is only set once the worker rendered it.
+var unfiltered_results = [];
+
+// How many of the (filtered) results to show; this grows as the user scrolls through them.
+var shown_results = results_batch_size;
+
+// Whether we asked the worker to render more results and are waiting for them.
+var rendering_results = false;
+
+// Whether to also search the other published versions of the docs (see search_versions);
+// initially, as in the URL.
+var search_all_versions =
+  new URLSearchParams(window.location.search).get("versions") === "all" &&
+  search_versions() !== null;
+
+// Which category, page and version filters are currently selected (none means all of them);
+// initially, the ones in the URL (if any).
+var selected_filters = url_filters("filter", filters);
+var selected_pages = url_filters("page", page_filters);
+var selected_versions = url_filters(
+  "version",
+  search_all_versions ? [search_versions().current, ...search_versions().others] : []
+);
+
+/**
+ * The versions to search when searching all of them: this one (`current`) and the `others`
+ * listed in ../versions.js, or null if there are none (e.g. for a local build).
+ *
+ * @returns {object|null}
+ */
+function search_versions() {
+  if (
+    typeof DOC_VERSIONS === "undefined" ||
+    typeof DOCUMENTER_CURRENT_VERSION === "undefined"
+  ) {
+    return null;
+  }
+  let others = DOC_VERSIONS.filter(
+    (version) => version !== DOCUMENTER_CURRENT_VERSION
+  );
+  if (others.length === 0) {
+    return null;
+  }
+  return { current: DOCUMENTER_CURRENT_VERSION, others: others };
+}
+
+/**
+ * Read a comma-separated list of filters from a parameter of the page URL, ignoring any that
+ * are unknown.
+ *
+ * @param {string} param
+ * @param {string[]} known
+ * @returns {Set<string>} The (lower case) selected filters.
+ */
+function url_filters(param, known) {
+  let lower_known = known.map((filter) => filter.toLowerCase());
+  let values = (new URLSearchParams(window.location.search).get(param) ?? "")
+    .toLowerCase()
+    .split(",")
+    .filter((value) => lower_known.includes(value));
+  return new Set(values);
+}
+
+// Set if the worker reported that it can't search at all.
+var search_error = null;
+
+// Set if the worker reported that the last search query is invalid.
+var query_error = null;
+
+$(document).on("input", ".documenter-search-input", function (event) {
+  if (!worker_is_running) {
+    launch_search();
+  }
+});
+
+function launch_search() {
+  worker_is_running = true;
+  last_search_text = $(".documenter-search-input").val();
+  last_search += 1;
+  worker.postMessage({
+    search: last_search,
+    query: last_search_text,
+    versions: search_all_versions ? search_versions() : null,
+  });
+}
+
+worker.onmessage = function (e) {
+  // Whatever the reply, the worker is done with any request to render results.
+  rendering_results = false;
+
+  if (e.data.error) {
+    worker_is_running = false;
+    search_error = e.data.error;
+    documenter_report_degraded("Search");
+    update_search();
+    return;
+  }
+
+  if (e.data.divs !== undefined) {
+    if (e.data.search === results_search) {
+      for (let result of unfiltered_results) {
+        result.div = e.data.divs[result.id] ?? result.div;
+      }
+    }
+    // This also asks for the results which are still missing (e.g. of newer results).
+    rerender_results();
+    return;
+  }
+
+  if (last_search_text !== $(".documenter-search-input").val()) {
+    launch_search();
+  } else {
+    worker_is_running = false;
+  }
+
+  unfiltered_results = e.data.results;
+  results_search = e.data.search;
+  query_error = e.data.query_error;
+  shown_results = results_batch_size;
+  update_search();
+};
+
+/**
+ * Show the next batch of results (if there are any more).
+ */
+function show_more_results() {
+  if (
+    rendering_results ||
+    shown_results >= unfiltered_results.filter((r) => passes_filters(r)).length
+  ) {
+    return;
+  }
+  shown_results += results_batch_size;
+  rerender_results();
+}
+
+/**
+ * Update the results without losing the result selected with the keyboard.
+ */
+function rerender_results() {
+  let selected = selected_result;
+  update_search();
+  if (selected >= 0) {
+    select_result(selected);
+  }
+}
+
+// Scroll events don't bubble, so we have to capture them to see the results scroll.
+document.addEventListener(
+  "scroll",
+  function (event) {
+    let body = event.target;
+    if (
+      body instanceof Element &&
+      body.classList.contains("search-modal-card-body") &&
+      body.scrollTop + body.clientHeight >= body.scrollHeight - 200
+    ) {
+      show_more_results();
+    }
+  },
+  true
+);
+
+$(document).on("click", ".search-versions-toggle", function () {
+  search_all_versions = !search_all_versions;
+  selected_versions.clear();
+  shown_results = results_batch_size;
+
+  if (worker_is_running) {
+    // Make the worker search again once it is done with the current search.
+    last_search_text = null;
+  } else {
+    launch_search();
+  }
+  update_search();
+});
+
+$(document).on("click", ".search-filter[data-kind]", function () {
+  let selected = {
+    category: selected_filters,
+    page: selected_pages,
+    version: selected_versions,
+  }[$(this).attr("data-kind")];
+  let filter = $(this).attr("data-filter");
+  if (selected.has(filter)) {
+    selected.delete(filter);
+  } else {
+    selected.add(filter);
+  }
+
+  shown_results = results_batch_size;
+
+  // This updates search results and toggles classes for UI:
+  update_search();
+});
+
+// The index of the result selected with the keyboard, if any (-1 otherwise). This is reset
+// whenever the results are re-rendered.
+var selected_result = -1;
+
+document.addEventListener("keydown", function (event) {
+  if (!$("#search-modal").hasClass("is-active")) {
+    return;
+  }
+
+  let forward = event.key === "ArrowDown" || event.key === "ArrowRight";
+  if (
+    event.altKey &&
+    ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(event.key)
+  ) {
+    event.preventDefault();
+    cycle_filter(forward ? 1 : -1);
+  } else if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+    event.preventDefault();
+    select_result(selected_result + (forward ? 1 : -1));
+  } else if (event.key === "Enter") {
+    let link = $(".search-result-link").get(Math.max(selected_result, 0));
+    if (link === undefined) {
+      return;
+    }
+    event.preventDefault();
+    if (event.ctrlKey || event.metaKey) {
+      window.open(link.href, "_blank");
+    } else {
+      // A native click also runs our handler which closes the modal.
+      link.click();
+    }
+  }
+});
+
+/**
+ * Select the n-th result (or none, if n is negative), keeping it scrolled into view.
+ *
+ * @param {number} n
+ */
+function select_result(n) {
+  let links = $(".search-result-link");
+  selected_result = Math.max(-1, Math.min(n, links.length - 1));
+
+  links
+    .removeClass("search-result-selected")
+    .attr("aria-selected", "false");
+  if (selected_result >= 0) {
+    let link = links.eq(selected_result);
+    link.addClass("search-result-selected").attr("aria-selected", "true");
+    link.get(0).scrollIntoView({ block: "nearest" });
+  }
+
+  if (selected_result >= 0 && selected_result === links.length - 1) {
+    show_more_results();
+  }
+}
+
+/**
+ * Select just the next (or previous) category filter, going through "no filter" between the
+ * last and the first ones. If several are selected, this starts from the first of them.
+ *
+ * @param {number} direction +1 or -1
+ */
+function cycle_filter(direction) {
+  let options = ["", ...filters.map((filter) => filter.toLowerCase())];
+  let position = Math.max(
+    0,
+    options.findIndex((option) => selected_filters.has(option))
+  );
+  let next = options[(position + direction + options.length) % options.length];
+  selected_filters = new Set(next === "" ? [] : [next]);
+  shown_results = results_batch_size;
+  update_search();
+}
+
+/**
+ * Whether a result passes the selected filters, ignoring one kind of them.
+ *
+ * @param {object} result
+ * @param {string} ignore `"category"`, `"page"`, `"version"` or `null`
+ * @returns {boolean}
+ */
+function passes_filters(result, ignore = null) {
+  return (
+    (ignore === "category" ||
+      selected_filters.size === 0 ||
+      selected_filters.has(result.category.toLowerCase())) &&
+    (ignore === "page" ||
+      selected_pages.size === 0 ||
+      selected_pages.has(result.page.toLowerCase())) &&
+    (ignore === "version" ||
+      selected_versions.size === 0 ||
+      result.version === null ||
+      selected_versions.has(result.version.toLowerCase()))
+  );
+}
+
+/**
+ * Count the (distinct) results of each category, page and version. Each count takes the
+ * other kinds of filters into account, so it is the number of results that selecting it
+ * would add.
+ *
+ * @returns {object} The `categories`, `pages` and `versions` counts, by lower case name.
+ */
+function count_results() {
+  let counts = { categories: {}, pages: {}, versions: {} };
+  let seen = { categories: new Set(), pages: new Set(), versions: new Set() };
+
+  for (let result of unfiltered_results) {
+    for (let [kind, key, ignore] of [
+      ["categories", result.category.toLowerCase(), "category"],
+      ["pages", result.page.toLowerCase(), "page"],
+      ["versions", (result.version ?? "").toLowerCase(), "version"],
+    ]) {
+      let id = key + "---" + result.location;
+      if (!seen[kind].has(id) && passes_filters(result, ignore)) {
+        seen[kind].add(id);
+        counts[kind][key] = (counts[kind][key] ?? 0) + 1;
+      }
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Make/Update the search component
+ */
+function update_search() {
+  let querystring = $(".documenter-search-input").val();
+
+  if (search_error !== null) {
+    $(".search-modal-card-body").html(
+      `<div class="has-text-centered my-5 py-5">${search_error}</div>`
+    );
+  } else if (querystring.trim()) {
+    results = unfiltered_results.filter((result) => passes_filters(result));
+
+    let search_result_container = ``;
+    let modal_filters = make_modal_body_filters();
+    let search_divider = `<div class="search-divider w-100"></div>`;
+
+    if (query_error !== null) {
+      search_result_container = `
+           <div class="is-flex is-flex-direction-column gap-2 is-align-items-flex-start">
+               ${modal_filters}
+               ${search_divider}
+               <div class="is-size-6 has-text-danger search-query-error">
+                 <i class="fas fa-triangle-exclamation"></i>
+                 ${$("<span>").text(query_error).html()}
+               </div>
+            </div>
+       `;
+    } else if (results.length) {
+      let links = new Set();
+      let shown = [];
+      for (let result of results) {
+        if (result.location && !links.has(result.location)) {
+          links.add(result.location);
+          shown.push(result);
+        }
+      }
+
+      let count = shown.length;
+      shown = shown.slice(0, shown_results);
+
+      // Show results in order, up to the first the worker still needs to render.
+      let missing = shown.filter((result) => result.div === undefined);
+      if (missing.length > 0) {
+        shown = shown.slice(0, shown.indexOf(missing[0]));
+        if (!rendering_results) {
+          rendering_results = true;
+          worker.postMessage({
+            search: results_search,
+            render: missing.map((result) => result.id),
+          });
+        }
+      }
+
+      let search_results = shown.map((result) => result.div).join("");
+      if (shown.length < count) {
+        search_results += `
+          <div class="search-more-results w-100 has-text-centered is-size-7 py-2">
+            Showing ${shown.length} of ${count} results, scroll for more
+          </div>
+        `;
+      }
+
+      if (count == 1) {
+        count_str = "1 result";
+      } else {
+        count_str = count + " results";
+      }
+      let result_count = `<div class="is-size-6">${count_str}</div>`;
+
+      search_result_container = `
+            <div class="is-flex is-flex-direction-column gap-2 is-align-items-flex-start">
+                ${modal_filters}
+                ${search_divider}
+                ${result_count}
+                <div class="is-clipped w-100 is-flex is-flex-direction-column gap-2 is-align-items-flex-start has-text-justified mt-1">
+                  ${search_results}
+                </div>
+            </div>
+        `;
+    } else {
+      search_result_container = `
+           <div class="is-flex is-flex-direction-column gap-2 is-align-items-flex-start">
+               ${modal_filters}
+               ${search_divider}
+               <div class="is-size-6">0 result(s)</div>
+            </div>
+            <div class="has-text-centered my-5 py-5">No result found!</div>
+       `;
+    }
+
+    if ($(".search-modal-card-body").hasClass("is-justify-content-center")) {
+      $(".search-modal-card-body").removeClass("is-justify-content-center");
+    }
+
+    $(".search-modal-card-body").html(search_result_container);
+    selected_result = -1;
+  } else {
+    if (!$(".search-modal-card-body").hasClass("is-justify-content-center")) {
+      $(".search-modal-card-body").addClass("is-justify-content-center");
+    }
+
+    $(".search-modal-card-body").html(make_search_start_body());
+  }
+
+  update_search_url(querystring);
+}
+
+/**
+ * Reflect the search in the URL (`?q=...&filter=...`), so it can be shared; loading such a
+ * URL opens the search modal with the same query and filter.
+ *
+ * @param {string} querystring
+ */
+function update_search_url(querystring) {
+  let url = new URL(window.location.href);
+
+  if (querystring.trim()) {
+    url.searchParams.set("q", querystring);
+  } else {
+    url.searchParams.delete("q");
+  }
+
+  if (querystring.trim() && search_all_versions) {
+    url.searchParams.set("versions", "all");
+  } else {
+    url.searchParams.delete("versions");
+  }
+
+  for (let [param, selected] of [
+    ["filter", selected_filters],
+    ["page", selected_pages],
+    ["version", selected_versions],
+  ]) {
+    if (querystring.trim() && selected.size > 0) {
+      url.searchParams.set(param, [...selected].join(","));
+    } else {
+      url.searchParams.delete(param);
+    }
+  }
+
+  if (url.href !== window.location.href) {
+    try {
+      window.history.replaceState(window.history.state, "", url.href);
+    } catch (err) {
+      // Some browsers don't allow this for file:// URLs; the search still works.
+    }
+  }
+}
+
+$(document).on("documenter-search-closed", function (event, querystring) {
+  update_search_url("");
+  remember_query(querystring);
+});
+
+$(document).on("documenter-search-opened", function () {
+  update_search();
+});
+
+/////// SEARCH HISTORY ///////
+
+// Recent queries (most recent first, see search_history_key) and pinned queries are kept in
+// localStorage (see loadStored in warner.js), so they persist across pages and visits.
+const search_pinned_key = "documenter-search-pinned";
+const max_search_history = 10;
+
+function load_queries(key) {
+  let queries = loadStored(key, []);
+  return Array.isArray(queries) ? queries : [];
+}
+
+/**
+ * Add a query to the top of the recent queries (unless it is empty).
+ *
+ * @param {string} querystring
+ */
+function remember_query(querystring) {
+  let query = (querystring ?? "").trim();
+  if (query === "") {
+    return;
+  }
+  let history = load_queries(search_history_key).filter((x) => x !== query);
+  history.unshift(query);
+  saveStored(search_history_key, history.slice(0, max_search_history));
+}
+
+function toggle_pinned_query(query) {
+  let pinned = load_queries(search_pinned_key);
+  if (pinned.includes(query)) {
+    pinned = pinned.filter((x) => x !== query);
+  } else {
+    pinned.push(query);
+  }
+  saveStored(search_pinned_key, pinned);
+}
+
+/**
+ * Make the body of the search modal when there is no query: the pinned and recent queries,
+ * or just a prompt if there are none.
+ *
+ * @returns jQuery
+ */
+function make_search_start_body() {
+  let pinned = load_queries(search_pinned_key);
+  let history = load_queries(search_history_key).filter(
+    (query) => !pinned.includes(query)
+  );
+
+  if (pinned.length === 0 && history.length === 0) {
+    return $(
+      `<div class="has-text-centered my-5 py-5">Type something to get started!</div>`
+    );
+  }
+
+  let body = $(
+    `<div class="is-flex is-flex-direction-column gap-2 is-align-items-flex-start w-100"></div>`
+  );
+  for (let [title, queries, is_pinned] of [
+    ["Pinned searches", pinned, true],
+    ["Recent searches", history, false],
+  ]) {
+    if (queries.length === 0) {
+      continue;
+    }
+    body.append($(`<div class="is-size-6 has-text-weight-bold"></div>`).text(title));
+    for (let query of queries) {
+      let row = $(
+        `<div class="search-history-entry w-100 is-flex is-justify-content-space-between is-align-items-center px-4 py-1"></div>`
+      );
+      row.append(
+        $(`<a href="javascript:;" class="search-history-query"></a>`)
+          .text(query)
+          .attr("data-query", query)
+      );
+      row.append(
+        $(`<a href="javascript:;" class="search-history-pin fa-solid fa-thumbtack"></a>`)
+          .toggleClass("is-pinned", is_pinned)
+          .attr("data-query", query)
+          .attr("title", is_pinned ? "Unpin this search" : "Pin this search")
+      );
+      body.append(row);
+    }
+  }
+
+  return body;
+}
+
+$(document).on("click", ".search-history-query", function () {
+  $(".documenter-search-input")
+    .val($(this).attr("data-query"))
+    .trigger("input")
+    .focus();
+});
+
+$(document).on("click", ".search-history-pin", function () {
+  toggle_pinned_query($(this).attr("data-query"));
+  update_search();
+});
+
+/**
+ * Make the modal filter html: a toggle per category and (if there are several) per page,
+ * each with the number of results it has. If there are other versions of the docs, also a
+ * toggle for searching all of them, and when it is on, a toggle per version.
+ *
+ * @returns string
+ */
+function make_modal_body_filters() {
+  let counts = count_results();
+
+  function make_filters(values, selected, counts, kind) {
+    return values
+      .map((val) => {
+        let filter = val.toLowerCase();
+        let count = counts[filter] ?? 0;
+        let classes = ["search-filter"];
+        if (selected.has(filter)) {
+          classes.push("search-filter-selected");
+        }
+        if (count === 0) {
+          classes.push("search-filter-empty");
+        }
+        return `<a href="javascript:;" class="${classes.join(" ")}" data-kind="${kind}" data-filter="${$("<span>").text(filter).html()}"><span>${$("<span>").text(val).html()}</span><span class="search-filter-count">${count}</span></a>`;
+      })
+      .join("");
+  }
+
+  function make_row(title, str) {
+    return `
+        <div class="is-flex gap-2 is-flex-wrap-wrap is-justify-content-flex-start is-align-items-center search-filters">
+            <span class="is-size-6">${title}:</span>
+            ${str}
+        </div>`;
+  }
+
+  let versions = search_versions();
+  let versions_toggle = "";
+  if (versions !== null) {
+    versions_toggle = `<a href="javascript:;" class="search-filter search-versions-toggle ${
+      search_all_versions ? "search-filter-selected" : ""
+    }" title="Also search ${$("<span>").text(versions.others.join(", ")).html()}"><span>All versions</span></a>`;
+  }
+
+  let rows = make_row(
+    "Filters",
+    make_filters(filters, selected_filters, counts.categories, "category") +
+      versions_toggle
+  );
+  if (page_filters.length > 1) {
+    rows += make_row(
+      "Pages",
+      make_filters(page_filters, selected_pages, counts.pages, "page")
+    );
+  }
+  if (search_all_versions) {
+    // Only the versions we found anything in, as some may be duplicates or fail to load.
+    let found = Object.keys(counts.versions).filter((version) => version !== "");
+    let names = [versions.current, ...versions.others].filter(
+      (version) =>
+        found.includes(version.toLowerCase()) ||
+        selected_versions.has(version.toLowerCase())
+    );
+    rows += make_row(
+      "Versions",
+      make_filters(names, selected_versions, counts.versions, "version")
+    );
+  }
+
+  return rows;
+}
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// Modal settings dialog
+$(document).ready(function () {
+  var settings = $("#documenter-settings");
+  $("#documenter-settings-button").click(function () {
+    settings.toggleClass("is-active");
+  });
+  // Close the dialog if X is clicked
+  $("#documenter-settings button.delete").click(function () {
+    settings.removeClass("is-active");
+  });
+  // Close dialog if ESC is pressed
+  $(document).keyup(function (e) {
+    if (e.keyCode == 27) settings.removeClass("is-active");
+  });
+
+  // The recent search queries (pinned ones are kept).
+  settings.find(".modal-card-body hr").first().before(`
+    <p>
+      <label class="label">Search history</label>
+      <button class="button is-small" id="documenter-clear-search-history">
+        Clear recent searches
+      </button>
+    </p>
+  `);
+  $("#documenter-clear-search-history").click(function () {
+    saveStored(search_history_key, []);
+    $(this).text("Cleared").prop("disabled", true);
+  });
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+$(document).ready(function () {
+  let search_modal_header = `
+    <header class="modal-card-head gap-2 is-align-items-center is-justify-content-space-between w-100 px-3">
+      <div class="field mb-0 w-100">
+        <p class="control has-icons-right">
+          <input class="input documenter-search-input" type="text" placeholder="Search" title="Supports title:, category:, page:, takes: and returns: qualifiers, &quot;exact phrases&quot;, -exclusions, AND and OR" />
+          <span class="icon is-small is-right has-text-primary-dark">
+            <i class="fas fa-magnifying-glass"></i>
+          </span>
+        </p>
+      </div>
+      <div class="icon is-size-5 is-clickable copy-search-link" title="Copy link to this search">
+        <i class="fas fa-link"></i>
+      </div>
+      <div class="icon is-size-4 is-clickable close-search-modal">
+        <i class="fas fa-times"></i>
+      </div>
+    </header>
+  `;
+
+  let initial_search_body = `
+    <div class="has-text-centered my-5 py-5">Type something to get started!</div>
+  `;
+
+  let search_modal_footer = `
+    <footer class="modal-card-foot">
+      <span>
+        <kbd class="search-modal-key-hints">Ctrl</kbd> +
+        <kbd class="search-modal-key-hints">/</kbd> to search
+      </span>
+      <span class="ml-3"> <kbd class="search-modal-key-hints">esc</kbd> to close </span>
+      <span class="ml-3">
+        <kbd class="search-modal-key-hints">↑</kbd>
+        <kbd class="search-modal-key-hints">↓</kbd> to select,
+        <kbd class="search-modal-key-hints">enter</kbd> to open
+      </span>
+      <span class="ml-3">
+        <kbd class="search-modal-key-hints">alt</kbd> +
+        <kbd class="search-modal-key-hints">←</kbd>
+        <kbd class="search-modal-key-hints">→</kbd> to filter
+      </span>
+    </footer>
+  `;
+
+  $(document.body).append(
+    `
+      <div class="modal" id="search-modal">
+        <div class="modal-background"></div>
+        <div class="modal-card search-min-width-50 search-min-height-100 is-justify-content-center">
+          ${search_modal_header}
+          <section class="modal-card-body is-flex is-flex-direction-column is-justify-content-center gap-4 search-modal-card-body">
+            ${initial_search_body}
+          </section>
+          ${search_modal_footer}
+        </div>
+      </div>
+    `
+  );
+
+  document.querySelector(".docs-search-query").addEventListener("click", () => {
+    openModal();
+  });
+
+  document
+    .querySelector(".close-search-modal")
+    .addEventListener("click", () => {
+      closeModal();
+    });
+
+  $(document).on("click", ".search-result-link", function () {
+    closeModal();
+  });
+
+  document.addEventListener("keydown", (event) => {
+    if ((event.ctrlKey || event.metaKey) && event.key === "/") {
+      openModal();
+    } else if (event.key === "Escape") {
+      closeModal();
+    }
+
+    return false;
+  });
+
+  // Functions to open and close a modal
+  function openModal() {
+    let searchModal = document.querySelector("#search-modal");
+
+    searchModal.classList.add("is-active");
+    document.querySelector(".documenter-search-input").focus();
+
+    $(document).trigger("documenter-search-opened");
+  }
+
+  function closeModal() {
+    let searchModal = document.querySelector("#search-modal");
+    let initial_search_body = `
+      <div class="has-text-centered my-5 py-5">Type something to get started!</div>
+    `;
+
+    searchModal.classList.remove("is-active");
+    document.querySelector(".documenter-search-input").blur();
+
+    if (!$(".search-modal-card-body").hasClass("is-justify-content-center")) {
+      $(".search-modal-card-body").addClass("is-justify-content-center");
+    }
+
+    let querystring = $(".documenter-search-input").val();
+    $(".documenter-search-input").val("");
+    $(".search-modal-card-body").html(initial_search_body);
+
+    $(document).trigger("documenter-search-closed", [querystring]);
+  }
+
+  // The URL always reflects the current search (see update_search_url).
+  document
+    .querySelector(".copy-search-link")
+    .addEventListener("click", function () {
+      let icon = this.querySelector("i");
+      let done = function (succeeded) {
+        icon.classList.remove("fa-link");
+        icon.classList.add(succeeded ? "fa-check" : "fa-xmark");
+        setTimeout(function () {
+          icon.classList.remove("fa-check", "fa-xmark");
+          icon.classList.add("fa-link");
+        }, 2000);
+      };
+
+      if (window.navigator && window.navigator.clipboard) {
+        window.navigator.clipboard.writeText(window.location.href).then(
+          () => done(true),
+          () => done(false)
+        );
+      } else {
+        // The clipboard API is only available in secure contexts.
+        window.prompt("Link to this search:", window.location.href);
+      }
+    });
+
+  // Open the search of a shared link (see update_search_url).
+  let shared_query = new URLSearchParams(window.location.search).get("q");
+  if (shared_query) {
+    openModal();
+    $(".documenter-search-input").val(shared_query).trigger("input");
+  }
+
+  document
+    .querySelector("#search-modal .modal-background")
+    .addEventListener("click", () => {
+      closeModal();
+    });
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// Manages the showing and hiding of the sidebar.
+$(document).ready(function () {
+  var sidebar = $("#documenter > .docs-sidebar");
+  var sidebar_button = $("#documenter-sidebar-button");
+  sidebar_button.click(function (ev) {
+    ev.preventDefault();
+    sidebar.toggleClass("visible");
+    if (sidebar.hasClass("visible")) {
+      // Makes sure that the current menu item is visible in the sidebar.
+      $("#documenter .docs-menu a.is-active").focus();
+    }
+  });
+  $("#documenter > .docs-main").bind("click", function (ev) {
+    if ($(ev.target).is(sidebar_button)) {
+      return;
+    }
+    if (sidebar.hasClass("visible")) {
+      sidebar.removeClass("visible");
+    }
+  });
+});
+
+// Resizes the package name / sitename in the sidebar if it is too wide. This is redone whenever
+// the sidebar changes size (or the fonts load), starting from the full font size each time, so
+// that the name also grows back.
+// Inspired by: https://github.com/davatron5000/FitText.js
+$(document).ready(function () {
+  var e = $("#documenter .docs-autofit");
+  if (e.length === 0) {
+    return;
+  }
+  function resize() {
+    e.css("font-size", "");
+    var L = parseInt(e.css("max-width"), 10);
+    var L0 = e.width();
+    if (L0 > L) {
+      var h0 = parseFloat(e.css("font-size"));
+      e.css("font-size", (L * h0) / L0);
+    }
+  }
+  resize();
+  if (typeof window.ResizeObserver === "function") {
+    // Observe the width of the container, which doesn't depend on the font size we set (its
+    // height does, so the changes which keep the width are skipped). Resizing in the next frame
+    // rather than in the callback keeps us from changing what is observed while it notifies.
+    var width = null;
+    new ResizeObserver(function (entries) {
+      var new_width = entries[entries.length - 1].contentRect.width;
+      if (new_width !== width) {
+        width = new_width;
+        window.requestAnimationFrame(resize);
+      }
+    }).observe(e.parent().get(0));
+  } else {
+    $(window).resize(resize);
+    $(window).on("orientationchange", resize);
+  }
+  if (document.fonts !== undefined) {
+    document.fonts.ready.then(resize);
+  }
+});
+
+// The state of the sidebar menu, which we remember across pages: which sub-menus are collapsed
+// (by the path of their titles, as the ids of their toggles depend on the page), and where the
+// menu was scrolled to.
+const sidebar_state_key = "documenter-sidebar-state";
+
+function load_sidebar_state() {
+  let state = loadStored(sidebar_state_key, {});
+  if (typeof state !== "object") {
+    state = {};
+  }
+  return {
+    collapsed: typeof state.collapsed === "object" && state.collapsed !== null ? state.collapsed : {},
+    scroll: typeof state.scroll === "number" ? state.scroll : null,
+  };
+}
+
+function save_sidebar_state(update) {
+  let state = load_sidebar_state();
+  update(state);
+  saveStored(sidebar_state_key, state);
+}
+
+// The key of a sub-menu, e.g. `Renderers/Points`, from the titles of its menu item and those
+// containing it.
+function sidebar_submenu_key(item) {
+  return $(item)
+    .parentsUntil(".docs-menu", "li")
+    .addBack()
+    .map(function () {
+      return $(this).children(".tocitem").first().text().trim();
+    })
+    .get()
+    .join("/");
+}
+
+// Makes the sub-menus collapsible, and remembers their state. Sub-menus of nested pages already
+// have a (checkbox) toggle; the sections of the current page get a button.
+$(document).ready(function () {
+  var menu = $("#documenter .docs-menu");
+  var collapsed = load_sidebar_state().collapsed;
+
+  menu.find("li > input.collapse-toggle").each(function () {
+    var toggle = $(this);
+    var key = sidebar_submenu_key(toggle.parent());
+    if (key in collapsed) {
+      toggle.prop("checked", !collapsed[key]);
+    }
+    toggle.on("change", function () {
+      save_sidebar_state(function (state) {
+        state.collapsed[key] = !toggle.prop("checked");
+      });
+    });
+  });
+
+  menu.find("li > ul.internal").each(function () {
+    var sections = $(this);
+    var item = sections.parent();
+    var key = sidebar_submenu_key(item);
+    var button = $(
+      `<a class="docs-menu-toggle fa-solid" href="#" role="button"></a>`
+    ).insertBefore(sections);
+    function set_expanded(expanded) {
+      sections.toggleClass("is-collapsed", !expanded);
+      button
+        .toggleClass("fa-chevron-down", expanded)
+        .toggleClass("fa-chevron-right", !expanded)
+        .attr("title", expanded ? "Collapse the sections" : "Expand the sections")
+        .attr("aria-expanded", expanded ? "true" : "false");
+    }
+    set_expanded(collapsed[key] !== true);
+    button.click(function (ev) {
+      ev.preventDefault();
+      var expanded = sections.hasClass("is-collapsed");
+      set_expanded(expanded);
+      save_sidebar_state(function (state) {
+        state.collapsed[key] = !expanded;
+      });
+    });
+  });
+});
+
+// Scroll the navigation bar to where it was on the previous page, if the currently selected menu
+// item is visible there, and otherwise to the item.
+$(document).ready(function () {
+  var sidebar = $("#documenter .docs-menu").get(0);
+  if (sidebar === undefined) {
+    return;
+  }
+  var active = $("#documenter .docs-menu .is-active").get(0);
+  var scroll = load_sidebar_state().scroll;
+  if (scroll !== null) {
+    sidebar.scrollTop = scroll;
+  }
+  if (typeof active !== "undefined") {
+    var top = active.offsetTop - sidebar.offsetTop;
+    if (
+      scroll === null ||
+      top < sidebar.scrollTop ||
+      top + Math.min(active.offsetHeight, sidebar.clientHeight) >
+        sidebar.scrollTop + sidebar.clientHeight
+    ) {
+      sidebar.scrollTop = top - 15;
+    }
+  }
+  $(window).on("pagehide", function () {
+    save_sidebar_state(function (state) {
+      state.scroll = sidebar.scrollTop;
+    });
+  });
+});
+
+// A quick filter of the menu items: shows only those whose title contains all the typed words,
+// with the items containing them, and expands all the sub-menus while filtering.
+$(document).ready(function () {
+  var menu = $("#documenter .docs-menu");
+  if (menu.length === 0) {
+    return;
+  }
+  var filter = $(
+    `<input class="docs-menu-filter input is-small is-rounded mb-2 mx-auto" id="documenter-menu-filter" type="search" placeholder="Filter the menu" aria-label="Filter the menu" autocomplete="off">`
+  ).insertBefore(menu);
+  var no_matches = $(
+    `<p class="docs-menu-no-matches is-hidden">No matching menu items</p>`
+  ).insertAfter(menu);
+
+  function apply_filter() {
+    var words = filter.val().toLowerCase().split(/\s+/).filter((word) => word !== "");
+    var items = menu.find("li");
+    items.removeClass("is-filtered-out");
+    menu.toggleClass("is-filtering", words.length > 0);
+    no_matches.addClass("is-hidden");
+    if (words.length === 0) {
+      return;
+    }
+    var matches = items.filter(function () {
+      var title = $(this).children(".tocitem").first().text().toLowerCase();
+      return words.every((word) => title.includes(word));
+    });
+    var shown = matches.add(matches.parentsUntil(menu, "li"));
+    items.not(shown).addClass("is-filtered-out");
+    no_matches.toggleClass("is-hidden", matches.length > 0);
+  }
+
+  filter.on("input", apply_filter);
+  filter.on("keydown", function (ev) {
+    if (ev.key === "Escape") {
+      filter.val("");
+      apply_filter();
+    } else if (ev.key === "Enter") {
+      // Go to the first shown item which links somewhere.
+      var first = menu.find("li:not(.is-filtered-out) > a.tocitem").get(0);
+      if (first !== undefined) {
+        ev.preventDefault();
+        first.click();
+      }
+    }
+  });
+});
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// Theme picker setup
+$(document).ready(function () {
+  // onchange callback
+  $("#documenter-themepicker").change(function themepick_callback(ev) {
+    var themename = $("#documenter-themepicker option:selected").attr("value");
+    if (themename === "auto") {
+      // set_theme(window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
+      window.localStorage.removeItem("documenter-theme");
+    } else {
+      // set_theme(themename);
+      window.localStorage.setItem("documenter-theme", themename);
+    }
+    // We re-use the global function from themeswap.js to actually do the swapping.
+    set_theme_from_local_storage();
+  });
+
+  // List every theme of the registry in themeswap.js (not just the ones the page was built
+  // with), now and whenever themes are added.
+  function add_theme_options() {
+    var picker = $("#documenter-themepicker");
+    documenter_themes().forEach(function (theme) {
+      var existing = picker.children("option").filter(function (i, e) {
+        return e.value === theme.name;
+      });
+      if (existing.length === 0) {
+        picker.append($("<option>").attr("value", theme.name).text(theme.label));
+      } else if (theme.label !== theme.name) {
+        existing.text(theme.label);
+      }
+    });
+
+    // Make sure that the themepicker displays the correct theme when the theme is retrieved
+    // from localStorage
+    if (typeof window.localStorage !== "undefined") {
+      var theme = window.localStorage.getItem("documenter-theme");
+      if (theme !== null) {
+        picker.children("option").each(function (i, e) {
+          e.selected = e.value === theme;
+        });
+      }
+    }
+  }
+  add_theme_options();
+  document.addEventListener("documenter-themes-changed", add_theme_options);
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// update the version selector with info from the siteinfo.js and ../versions.js files
+$(document).ready(function () {
+  // If the version selector is disabled with DOCUMENTER_VERSION_SELECTOR_DISABLED in the
+  // siteinfo.js file, we just return immediately and not display the version selector.
+  if (
+    typeof DOCUMENTER_VERSION_SELECTOR_DISABLED === "boolean" &&
+    DOCUMENTER_VERSION_SELECTOR_DISABLED
+  ) {
+    return;
+  }
+
+  var version_selector = $("#documenter .docs-version-selector");
+  var version_selector_select = $("#documenter .docs-version-selector select");
+
+  // Go to the same page (and section) in the selected version, if it has it (see warner.js).
+  version_selector_select.change(function (x) {
+    target_href = version_selector_select
+      .children("option:selected")
+      .get(0).value;
+    if (target_href === "#") {
+      window.location.href = target_href;
+      return;
+    }
+    // This is disabled while looking for the page, and is enabled again when we either go
+    // there or, failing that, to the selected version's home page.
+    version_selector_select.prop("disabled", true);
+    findEquivalentLocation(target_href)
+      .catch(function () {
+        return null;
+      })
+      .then(function (location) {
+        window.location.href = target_href + (location ?? "");
+      })
+      .finally(function () {
+        version_selector_select.prop("disabled", false);
+      });
+  });
+
+  // Coming back to this page from the back/forward cache restores it as we left it, with the
+  // other version selected; select this one again.
+  window.addEventListener("pageshow", function (event) {
+    if (event.persisted) {
+      version_selector_select.prop("disabled", false);
+      version_selector_select.children("option").each(function (i, e) {
+        e.selected = e.defaultSelected;
+      });
+    }
+  });
+
+  // add the current version to the selector based on siteinfo.js, but only if the selector is empty
+  if (
+    typeof DOCUMENTER_CURRENT_VERSION !== "undefined" &&
+    $("#version-selector > option").length == 0
+  ) {
+    var option = $(
+      "<option value='#' selected='selected'>" +
+        DOCUMENTER_CURRENT_VERSION +
+        "</option>"
+    );
+    option.attr("data-version", DOCUMENTER_CURRENT_VERSION);
+    version_selector_select.append(option);
+  }
+
+  if (typeof DOC_VERSIONS !== "undefined") {
+    var existing_versions = version_selector_select.children("option");
+    var existing_versions_texts = existing_versions.map(function (i, x) {
+      return x.text;
+    });
+    DOC_VERSIONS.forEach(function (each) {
+      var version_url = documenterBaseURL + "/../" + each + "/";
+      var existing_id = $.inArray(each, existing_versions_texts);
+      // if not already in the version selector, add it as a new option,
+      // otherwise update the old option with the URL and enable it
+      if (existing_id == -1) {
+        var option = $(
+          "<option value='" + version_url + "'>" + each + "</option>"
+        );
+        option.attr("data-version", each);
+        version_selector_select.append(option);
+      } else {
+        var option = existing_versions[existing_id];
+        option.value = version_url;
+        option.disabled = false;
+      }
+    });
+  }
+
+  // only show the version selector if the selector has been populated
+  if (version_selector_select.children("option").length > 0) {
+    version_selector.toggleClass("visible");
+    add_release_metadata(version_selector_select.children("option[data-version]"));
+  }
+});
+
+/**
+ * Show the date of each version (from its .documenter-siteinfo.json) in the selector, and
+ * mark the latest release and the one the stable version is.
+ *
+ * @param {jQuery} options The options of the selector, with their `data-version`.
+ */
+function add_release_metadata(options) {
+  function version_url(version) {
+    return version === DOCUMENTER_CURRENT_VERSION
+      ? documenterBaseURL + "/"
+      : documenterBaseURL + "/../" + version + "/";
+  }
+
+  function fetch_ok(url) {
+    return fetch(url).then(function (response) {
+      if (!response.ok) {
+        throw new Error(`HTTP status ${response.status}`);
+      }
+      return response;
+    });
+  }
+
+  // The stable version is a link to a release; its siteinfo.js says which.
+  var stable_promise =
+    typeof DOCUMENTER_STABLE === "undefined"
+      ? Promise.resolve(null)
+      : fetch_ok(version_url(DOCUMENTER_STABLE) + "siteinfo.js")
+          .then((response) => response.text())
+          .then(function (text) {
+            var match = /DOCUMENTER_CURRENT_VERSION\s*=\s*"([^"]*)"/.exec(text);
+            return match === null ? null : match[1];
+          })
+          .catch(() => null);
+
+  options.each(function (i, option) {
+    var version = $(option).attr("data-version");
+    var date_promise = fetch_ok(version_url(version) + ".documenter-siteinfo.json")
+      .then((response) => response.json())
+      .then((siteinfo) => siteinfo.documenter.generation_timestamp ?? null)
+      .catch(() => null);
+
+    Promise.all([date_promise, stable_promise]).then(function ([date, stable]) {
+      var badges = [];
+      if (typeof DOCUMENTER_NEWEST !== "undefined" && version === DOCUMENTER_NEWEST) {
+        badges.push("latest");
+      }
+      if (version === stable) {
+        badges.push("stable");
+      }
+      var text = version;
+      if (badges.length > 0) {
+        text += ` (${badges.join(", ")})`;
+      }
+      if (date !== null) {
+        text += ` · ${date.slice(0, 10)}`;
+      }
+      $(option).text(text).attr("title", text);
+    });
+  });
+}
+
+})
+////////////////////////////////////////////////////////////////////////////////
+
+// The signature of a search index entry is the leading block of its docstring if it is code:
+// the function signatures or the type definition. Anything else has none.
+function documenter_entry_signature(entry) {
+  var block = entry.text.split(/\n\s*\n/)[0].trim();
+  var name = entry.title.split(".").pop();
+  var is_code =
+    (entry.category === "function" &&
+      (block.startsWith(name + "(") || block.startsWith("function "))) ||
+    (entry.category === "type" &&
+      /^(@kwdef\s+)?((mutable\s+)?struct|abstract\s+type|primitive\s+type)\s/.test(block));
+  return is_code ? block : null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// The "What changed" page: compare the API (the type, function and module entries, and
+// their signatures) in the search index of this version with that of another published one.
+$(document).ready(function () {
+  var changes = $("#documenter-api-changes");
+  if (changes.length === 0) {
+    return;
+  }
+
+  if (
+    typeof DOC_VERSIONS === "undefined" ||
+    typeof DOCUMENTER_CURRENT_VERSION === "undefined" ||
+    DOC_VERSIONS.filter((v) => v !== DOCUMENTER_CURRENT_VERSION).length === 0
+  ) {
+    changes.html(
+      `<p>There are no other published versions of the documentation to compare with.</p>`
+    );
+    return;
+  }
+
+  var others = DOC_VERSIONS.filter((v) => v !== DOCUMENTER_CURRENT_VERSION);
+  // By default, compare with the previous release: the newest of the numbered versions which
+  // are older than this one. DOC_VERSIONS usually lists `v0.1` rather than `v0.1.0`, so this
+  // goes by the version numbers rather than by the position of this version in it.
+  var older = others.filter(
+    (v) => versionNumbers(v) !== null && isOlderVersion(v, DOCUMENTER_CURRENT_VERSION)
+  );
+  var initial = older.reduce(
+    (newest, v) => (isOlderVersion(newest, v) ? v : newest),
+    older[0] ?? others[0]
+  );
+
+  var select = $(`<select id="documenter-api-changes-version"></select>`);
+  others.forEach(function (version) {
+    select.append(
+      $("<option>")
+        .attr("value", version)
+        .text(version)
+        .prop("selected", version === initial)
+    );
+  });
+  changes.empty().append(
+    $(`<div class="field"><label class="label">Compare with</label></div>`).append(
+      $(`<div class="select"></div>`).append(select)
+    ),
+    $(`<div class="api-changes-result"></div>`)
+  );
+
+  select.change(function () {
+    show_changes(select.val());
+  });
+  show_changes(initial);
+
+  function show_changes(version) {
+    var result = changes.find(".api-changes-result");
+    result.html(`<p>Loading the index of ${$("<span>").text(version).html()}...</p>`);
+    fetchSearchIndex(`${documenterBaseURL}/../${version}/`)
+      .then(function (docs) {
+        if (select.val() === version) {
+          result.empty().append(make_changes(version, docs));
+        }
+      })
+      .catch(function (err) {
+        if (select.val() === version) {
+          result.empty().append(
+            $(`<p class="has-text-danger"></p>`).text(
+              `Failed to load the index of ${version}: ${err.message}`
+            )
+          );
+        }
+      });
+  }
+
+  // The API entries of an index, by title.
+  function api_entries(docs) {
+    var entries = new Map();
+    docs.forEach(function (entry) {
+      if (
+        ["type", "function", "module"].includes(entry.category) &&
+        !entries.has(entry.title)
+      ) {
+        entries.set(entry.title, {
+          location: entry.location,
+          signature: documenter_entry_signature(entry),
+        });
+      }
+    });
+    return entries;
+  }
+
+  function make_changes(version, docs) {
+    var current = api_entries(documenterSearchIndex["docs"]);
+    var other = api_entries(docs);
+    var current_version = DOCUMENTER_CURRENT_VERSION;
+
+    var older = { version: version, entries: other, base: `${documenterBaseURL}/../${version}/` };
+    var newer = { version: current_version, entries: current, base: `${documenterBaseURL}/` };
+    if (isOlderVersion(current_version, version)) {
+      [older, newer] = [newer, older];
+    }
+
+    var added = [...newer.entries.keys()].filter((title) => !older.entries.has(title));
+    var removed = [...older.entries.keys()].filter((title) => !newer.entries.has(title));
+    var changed = [...newer.entries.keys()].filter(
+      (title) =>
+        older.entries.has(title) &&
+        normalized(newer.entries.get(title).signature) !==
+          normalized(older.entries.get(title).signature)
+    );
+
+    // Only changes in the signatures themselves count, not in their layout.
+    function normalized(signature) {
+      return signature === null ? null : signature.replace(/\s+/g, " ");
+    }
+
+    function link(side, title) {
+      return $("<a>")
+        .attr("href", encodeURI(side.base + side.entries.get(title).location))
+        .text(side.version);
+    }
+
+    // Show a signature, marking the lines which are not in the other one.
+    function signature(side, other_side, title) {
+      var text = side.entries.get(title).signature ?? "(no signature)";
+      var other_lines = (other_side.entries.get(title).signature ?? "")
+        .split("\n")
+        .map((line) => line.trim());
+      var pre = $(`<pre class="api-changes-signature"></pre>`);
+      text.split("\n").forEach(function (line, i) {
+        pre.append(
+          i > 0 ? "\n" : "",
+          other_lines.includes(line.trim())
+            ? document.createTextNode(line)
+            : $(`<span class="api-changes-line"></span>`).text(line)
+        );
+      });
+      return pre;
+    }
+
+    function section(heading, titles, make_row) {
+      var div = $(`<div class="api-changes-section"></div>`);
+      div.append($("<h2>").text(`${heading} (${titles.length})`));
+      if (titles.length === 0) {
+        div.append($("<p>").text("None."));
+      } else {
+        var list = $(`<ul></ul>`);
+        titles.sort().forEach(function (title) {
+          list.append(make_row($("<li>").append($("<code>").text(title), " "), title));
+        });
+        div.append(list);
+      }
+      return div;
+    }
+
+    return [
+      $("<p>").text(`Changes from ${older.version} to ${newer.version}.`),
+      section(`Added in ${newer.version}`, added, (row, title) =>
+        row.append(link(newer, title))
+      ),
+      section(`Removed in ${newer.version}`, removed, (row, title) =>
+        row.append(link(older, title))
+      ),
+      section("Changed signatures", changed, (row, title) =>
+        row.append(
+          link(older, title),
+          " → ",
+          link(newer, title),
+          signature(older, newer, title).addClass("api-changes-old"),
+          signature(newer, older, title).addClass("api-changes-new")
+        )
+      ),
+    ];
+  }
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+
+// Plotly graphs embedded in the page follow the theme: with a dark theme, the colors of their
+// layout are taken from the page (so they match any dark theme), and their own colors are
+// restored when switching back to a light theme.
+
+// The Plotly.js to restyle graphs with: the one we load for our own graphs, or else the one
+// the page loaded (e.g. for a graph rendered by PlotlyJS.jl), if any.
+function documenter_plotly() {
+  if (requirejs.defined("plotly")) {
+    return require("plotly");
+  }
+  return window.Plotly || null;
+}
+
+function documenter_mix_colors(from, to, fraction) {
+  var parse = function (color) {
+    return (color.match(/[\d.]+/g) || [0, 0, 0]).map(Number);
+  };
+  var from_rgb = parse(from);
+  var to_rgb = parse(to);
+  var mixed = [0, 1, 2].map(function (i) {
+    return Math.round(from_rgb[i] + (to_rgb[i] - from_rgb[i]) * fraction);
+  });
+  return `rgb(${mixed.join(", ")})`;
+}
+
+// The layout attributes (as given to Plotly.relayout) which make a graph match the theme.
+function documenter_graph_theme_layout(div) {
+  var background = window.getComputedStyle(document.documentElement).backgroundColor;
+  var text = window.getComputedStyle(document.body).color;
+  var grid = documenter_mix_colors(background, text, 0.2);
+  var line = documenter_mix_colors(background, text, 0.5);
+  var layout = {
+    paper_bgcolor: background,
+    plot_bgcolor: background,
+    "font.color": text,
+  };
+  var axes = Object.keys(div.layout || {}).filter(function (key) {
+    return /^[xy]axis\d*$/.test(key);
+  });
+  ["xaxis", "yaxis"].concat(axes).forEach(function (axis) {
+    layout[`${axis}.gridcolor`] = grid;
+    layout[`${axis}.zerolinecolor`] = grid;
+    layout[`${axis}.linecolor`] = line;
+    layout[`${axis}.tickcolor`] = line;
+  });
+  return layout;
+}
+
+function documenter_restyle_graph(Plotly, div, dark) {
+  if (dark) {
+    var layout = documenter_graph_theme_layout(div);
+    if (div.documenterOwnLayout === undefined) {
+      // Remember the graph's own colors; null restores Plotly's default.
+      div.documenterOwnLayout = {};
+      Object.keys(layout).forEach(function (key) {
+        var value = key.split(".").reduce(function (object, name) {
+          return object === undefined || object === null ? undefined : object[name];
+        }, div.layout);
+        div.documenterOwnLayout[key] = value === undefined ? null : value;
+      });
+    }
+    return Plotly.relayout(div, layout);
+  }
+  if (div.documenterOwnLayout !== undefined) {
+    var own = div.documenterOwnLayout;
+    div.documenterOwnLayout = undefined;
+    return Plotly.relayout(div, own);
+  }
+}
+
+// Restyle a graph to match the active theme. Call this after (re)plotting a graph; the graphs
+// in the page are restyled whenever the theme changes.
+function documenter_theme_graph(Plotly, div) {
+  // (Re)plotting the graph replaced its layout, so whatever we remembered of it is stale.
+  div.documenterOwnLayout = undefined;
+  var theme = documenter_active_theme();
+  return documenter_restyle_graph(Plotly, div, theme !== null && theme.dark);
+}
+
+function documenter_theme_graphs(dark) {
+  var Plotly = documenter_plotly();
+  if (Plotly === null) {
+    return;
+  }
+  document.querySelectorAll(".js-plotly-plot").forEach(function (div) {
+    documenter_restyle_graph(Plotly, div, dark);
+  });
+}
+
+document.addEventListener("documenter-theme-changed", function (event) {
+  documenter_theme_graphs(event.detail.dark);
+});
+
+// Graphs the page rendered by itself (rather than by documenter_theme_graph).
+function documenter_theme_page_graphs() {
+  var theme = documenter_active_theme();
+  if (theme !== null && theme.dark) {
+    documenter_theme_graphs(true);
+  }
+}
+
+if (document.readyState === "complete") {
+  documenter_theme_page_graphs();
+} else {
+  window.addEventListener("load", documenter_theme_page_graphs);
+}
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// The graph gallery page: a thumbnail of each graph type, rendered with Plotly.js from the
+// figures exported by deps/gallery.js, linking to its docstring. Clicking a thumbnail shows
+// the full interactive graph (with zoom and hover).
+$(document).ready(function () {
+  var gallery = $("#documenter-graph-gallery");
+  if (gallery.length === 0) {
+    return;
+  }
+
+  // Plotly.js is big, so only the pages which show graphs load it.
+  require(["plotly"], function (Plotly) {
+    fetch(documenterBaseURL + "/gallery.json")
+      .then(function (response) {
+        if (!response.ok) {
+          throw new Error(`HTTP status ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(function (entries) {
+        show_gallery(Plotly, entries);
+      })
+      .catch(function (err) {
+        show_error(`Failed to load the graph gallery: ${err.message}`);
+      });
+  }, function (err) {
+    // This replaces requirejs.onError for this require (e.g. if Plotly.js failed to load).
+    requirejs.onError(err);
+    show_error(`Failed to load the graph gallery: ${err.message}`);
+  });
+
+  function show_error(message) {
+    gallery.empty().append($(`<p class="has-text-danger"></p>`).text(message));
+  }
+
+  function show_gallery(Plotly, entries) {
+    var columns = $(`<div class="columns is-multiline graph-gallery"></div>`);
+    gallery.empty().append(columns);
+
+    entries.forEach(function (entry) {
+      var thumbnail = $(
+        `<a href="javascript:;" class="graph-gallery-thumbnail" title="Show the interactive graph"></a>`
+      );
+      var card = $(`<div class="card graph-gallery-card"></div>`).append(
+        $(`<header class="card-header"></header>`).append(
+          $(`<a class="card-header-title"></a>`)
+            .attr("href", entry.location)
+            .append($("<code>").text(entry.type))
+        ),
+        $(`<div class="card-image"></div>`).append(thumbnail),
+        $(`<footer class="card-footer"></footer>`).append(
+          $(`<a class="card-footer-item"></a>`)
+            .attr("href", entry.constructor_location)
+            .append($("<code>").text(entry.constructor)),
+          $(`<a href="javascript:;" class="card-footer-item">Interactive</a>`).click(
+            function () {
+              show_graph(Plotly, entry);
+            }
+          )
+        )
+      );
+      columns.append(
+        $(`<div class="column is-one-third-desktop is-half-tablet"></div>`).append(card)
+      );
+
+      thumbnail.click(function () {
+        show_graph(Plotly, entry);
+      });
+      Plotly.newPlot(
+        thumbnail.get(0),
+        entry.figure.data,
+        figure_layout(entry.figure, {
+          showlegend: false,
+          margin: { l: 30, r: 10, t: 30, b: 30 },
+        }),
+        { staticPlot: true, responsive: true }
+      ).then(function (div) {
+        documenter_theme_graph(Plotly, div);
+      });
+    });
+  }
+
+  // The layout of a figure, sized by the page rather than the graph configuration.
+  function figure_layout(figure, overrides) {
+    var layout = Object.assign({}, figure.layout, overrides);
+    delete layout.width;
+    delete layout.height;
+    layout.autosize = true;
+    return layout;
+  }
+
+  function show_graph(Plotly, entry) {
+    var modal = $(`
+      <div class="modal is-active graph-gallery-modal">
+        <div class="modal-background"></div>
+        <div class="modal-card">
+          <header class="modal-card-head">
+            <p class="modal-card-title"></p>
+            <button class="delete" aria-label="close"></button>
+          </header>
+          <section class="modal-card-body">
+            <div class="graph-gallery-graph"></div>
+          </section>
+        </div>
+      </div>
+    `);
+    modal
+      .find(".modal-card-title")
+      .append($("<a>").attr("href", entry.location).append($("<code>").text(entry.type)));
+    $("body").append(modal);
+
+    function close() {
+      Plotly.purge(modal.find(".graph-gallery-graph").get(0));
+      modal.remove();
+      $(document).off("keydown", close_on_escape);
+    }
+    function close_on_escape(event) {
+      if (event.key === "Escape") {
+        close();
+      }
+    }
+    modal.find(".modal-background, .delete").click(close);
+    $(document).on("keydown", close_on_escape);
+
+    Plotly.newPlot(
+      modal.find(".graph-gallery-graph").get(0),
+      entry.figure.data,
+      figure_layout(entry.figure, {}),
+      Object.assign({}, entry.figure.config, {
+        responsive: true,
+        displaylogo: false,
+      })
+    ).then(function (div) {
+      documenter_theme_graph(Plotly, div);
+    });
+  }
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// The configuration playground page: a form for the fields of the configuration of each graph
+// type (from the schema exported by deps/configurations.jl), which live-updates the equivalent
+// Julia code.
+//
+// Only Julia can render a graph, so this doesn't preview the configuration in the form. Instead,
+// it shows the sample of the graph type from the gallery (exported by deps/gallery.js), to give
+// an idea of what the fields refer to.
+
+// The option of a palette field for specifying its entries (rather than a named palette).
+var CUSTOM_PALETTE = "(custom)";
+
+$(document).ready(function () {
+  var playground = $("#documenter-configuration-playground");
+  if (playground.length === 0) {
+    return;
+  }
+
+  require(["plotly"], function (Plotly) {
+    Promise.all([fetch_json("configurations.json"), fetch_json("gallery.json")])
+      .then(function (loaded) {
+        show_playground(Plotly, loaded[0], loaded[1]);
+      })
+      .catch(function (err) {
+        show_error(`Failed to load the configuration playground: ${err.message}`);
+      });
+  }, function (err) {
+    // This replaces requirejs.onError for this require (e.g. if Plotly.js failed to load).
+    requirejs.onError(err);
+    show_error(`Failed to load the configuration playground: ${err.message}`);
+  });
+
+  function show_error(message) {
+    playground.empty().append($(`<p class="has-text-danger"></p>`).text(message));
+  }
+
+  function fetch_json(name) {
+    return fetch(documenterBaseURL + "/" + name).then(function (response) {
+      if (!response.ok) {
+        throw new Error(`HTTP status ${response.status} for ${name}`);
+      }
+      return response.json();
+    });
+  }
+
+  function copy_of(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  function is_same(left, right) {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+
+  function show_playground(Plotly, schema, gallery) {
+    var graph_select = $(`<select id="documenter-playground-graph"></select>`);
+    schema.graphs.forEach(function (entry) {
+      graph_select.append($("<option>").val(entry.graph).text(entry.graph));
+    });
+    var use_shorthands = $(`<input type="checkbox" id="documenter-playground-shorthands">`);
+    var form = $(`<form class="playground-form"></form>`);
+    var sample = $(`<div class="playground-sample"></div>`);
+    var code = $(`<code class="language-julia"></code>`);
+    var copy = $(`<button class="button is-small playground-copy">Copy</button>`);
+    var docstring = $(`<span></span>`);
+
+    playground.empty().append(
+      $(`<div class="playground-controls"></div>`).append(
+        $(`<div class="select is-small"></div>`).append(graph_select),
+        docstring,
+        $(`<label class="checkbox"></label>`).append(
+          use_shorthands,
+          " Use the shorthand names"
+        )
+      ),
+      $(`<div class="columns"></div>`).append(
+        $(`<div class="column is-5"></div>`).append(form),
+        $(`<div class="column"></div>`).append(
+          $(`<p class="playground-sample-note"></p>`).text(
+            "A sample of this type of graph, as rendered by MCGraphs. It doesn't reflect the " +
+              "configuration in the form; run the code below in Julia to see that."
+          ),
+          sample,
+          $(`<pre class="playground-code"></pre>`).append(copy, code)
+        )
+      )
+    );
+
+    var graph;
+    var configuration_type;
+    var configuration;
+    var defaults;
+
+    function type_default(type) {
+      var value = {};
+      schema.types[type].fields.forEach(function (field) {
+        value[field.name] = copy_of(field.default);
+      });
+      return value;
+    }
+
+    function type_name(type) {
+      var name =
+        (use_shorthands.prop("checked") && schema.shorthands[type]) || type;
+      return schema.types[type].exported ? name : `MCGraphs.Renderers.${name}`;
+    }
+
+    function field_at(path) {
+      var type = configuration_type;
+      var field;
+      path.forEach(function (name) {
+        field = schema.types[type].fields.find(function (field) {
+          return field.name === name;
+        });
+        type = field.type;
+      });
+      return field;
+    }
+
+    function value_in(value, path) {
+      return path.reduce(function (value, name) {
+        return value === null ? null : value[name];
+      }, value);
+    }
+
+    function value_at(path) {
+      return value_in(configuration, path);
+    }
+
+    function set_value_at(path, value) {
+      value_at(path.slice(0, -1))[path[path.length - 1]] = value;
+    }
+
+    // A link to the docstring of a configuration type, or just its name if the search index
+    // has no entry for it (e.g. if it isn't documented).
+    function type_link(type) {
+      var entry =
+        typeof documenterSearchIndex === "undefined"
+          ? undefined
+          : documenterSearchIndex.docs.find(function (entry) {
+              return entry.category === "type" && entry.title === `MCGraphs.Renderers.${type}`;
+            });
+      var name = $("<code>").text(type);
+      return entry === undefined
+        ? name
+        : $("<a>").attr("href", `${documenterBaseURL}/${entry.location}`).append(name);
+    }
+
+    function select_graph() {
+      graph = graph_select.val();
+      configuration_type = schema.graphs.find(function (entry) {
+        return entry.graph === graph;
+      }).configuration;
+      configuration = type_default(configuration_type);
+      defaults = type_default(configuration_type);
+      docstring.empty().append(type_link(configuration_type));
+
+      show_sample();
+      make_form();
+      update();
+    }
+
+    function show_sample() {
+      var entry = gallery.find(function (entry) {
+        return entry.type === graph;
+      });
+      Plotly.purge(sample.get(0));
+      sample.empty();
+      if (entry === undefined) {
+        sample.append($("<p>").text(`There is no sample of a ${graph}.`));
+        return;
+      }
+      var figure = copy_of(entry.figure);
+      Plotly.react(sample.get(0), figure.data, figure.layout, {
+        responsive: true,
+        displaylogo: false,
+      }).then(function (div) {
+        documenter_theme_graph(Plotly, div);
+      });
+    }
+
+    function make_form() {
+      form.empty().append(make_fields(configuration_type, []));
+    }
+
+    function make_fields(type, path) {
+      return schema.types[type].fields.map(function (field) {
+        var field_path = path.concat([field.name]);
+        if (field.kind === "struct" && value_at(field_path) !== null) {
+          return $(`<details class="playground-group"></details>`).append(
+            $("<summary>").append($("<code>").text(field.name), " ", type_link(field.type)),
+            make_fields(field.type, field_path)
+          );
+        }
+        return $(`<div class="playground-field"></div>`).append(
+          $("<label>").append($("<code>").text(field.name)),
+          make_control(field, field_path),
+          $(`<span class="playground-type"></span>`).text(field.julia_type)
+        );
+      });
+    }
+
+    function make_control(field, path) {
+      var value = value_at(path);
+      var control;
+      switch (field.kind) {
+        case "bool":
+          control = $(`<input type="checkbox">`).prop("checked", value);
+          break;
+        case "integer":
+        case "real":
+          control = $(`<input class="input is-small" type="number">`)
+            .attr("step", field.kind === "integer" ? "1" : "any")
+            .val(value === null ? "" : value);
+          break;
+        case "string":
+          control = $(`<input class="input is-small" type="text">`).val(value ?? "");
+          break;
+        case "enum":
+          control = $(`<select></select>`);
+          if (field.optional) {
+            control.append($(`<option value="">nothing</option>`));
+          }
+          field.values.forEach(function (name) {
+            control.append($("<option>").val(name).text(name));
+          });
+          control.val(value ?? "");
+          break;
+        case "palette":
+          return make_palette_control(field, path, value);
+        default:
+          // Any other value is given as a Julia expression, which is copied as-is to the code.
+          var expression =
+            value !== null && typeof value === "object" && "julia" in value ? value.julia : "";
+          return $(`<input class="input is-small" type="text">`)
+            .attr("placeholder", "Julia expression")
+            .attr("data-path", path.join("."))
+            .val(expression);
+      }
+      if (field.optional) {
+        control.attr("placeholder", "nothing");
+      }
+      control.attr("data-path", path.join("."));
+      return field.kind === "enum"
+        ? $(`<div class="select is-small"></div>`).append(control)
+        : control;
+    }
+
+    // A colors palette is either one of the named palettes, or a list of entries mapping values
+    // (numbers for a continuous palette, strings for a categorical one) to colors.
+    function make_palette_control(field, path, value) {
+      var select = $(`<select></select>`).attr("data-path", path.join("."));
+      if (field.optional) {
+        select.append($(`<option value="">nothing</option>`));
+      }
+      field.values.forEach(function (name) {
+        select.append($("<option>").val(name).text(name));
+      });
+      select.append($("<option>").val(CUSTOM_PALETTE).text("Custom entries"));
+      var entries = $(`<input class="input is-small" type="text">`)
+        .attr("placeholder", `0.0 => "blue", 1.0 => "red"`)
+        .attr("data-path", path.join("."));
+
+      if (Array.isArray(value)) {
+        select.val(CUSTOM_PALETTE);
+        entries.val(julia_palette_entries(value));
+      } else {
+        select.val(value ?? "");
+      }
+      entries.toggle(select.val() === CUSTOM_PALETTE);
+      return $(`<div class="playground-palette"></div>`).append(
+        $(`<div class="select is-small"></div>`).append(select),
+        entries
+      );
+    }
+
+    function palette_value(control) {
+      var name = control.find("select").val();
+      var entries = control.find("input");
+      entries.toggle(name === CUSTOM_PALETTE);
+      if (name === "") {
+        return null;
+      }
+      return name === CUSTOM_PALETTE ? parse_palette_entries(entries.val()) : name;
+    }
+
+    // Parse `value => "color", ...` palette entries (as in Julia), or return undefined if these
+    // are invalid.
+    function parse_palette_entries(text) {
+      var entry = /\s*(?:"([^"\\]*)"|([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?))\s*=>\s*"([^"\\]*)"\s*(?:,|$)/y;
+      var entries = [];
+      while (entry.lastIndex < text.length) {
+        var match = entry.exec(text);
+        if (match === null) {
+          return undefined;
+        }
+        entries.push([match[1] ?? Number(match[2]), match[3]]);
+      }
+      var kinds = new Set(
+        entries.map(function (entry) {
+          return typeof entry[0];
+        })
+      );
+      return kinds.size === 1 ? entries : undefined;
+    }
+
+    form.on("submit", function (event) {
+      event.preventDefault();
+    });
+    form.on("input change", "[data-path]", function () {
+      var input = $(this);
+      var path = input.attr("data-path").split(".");
+      var field = field_at(path);
+      var value;
+      if (field.kind === "palette") {
+        var control = input.closest(".playground-palette");
+        value = palette_value(control);
+        input = control.find("input");
+      } else if (field.kind === "bool") {
+        value = input.prop("checked");
+      } else {
+        var text = String(input.val()).trim();
+        if (field.kind === "other") {
+          value = text === "" ? copy_of(value_in(defaults, path)) : { julia: text };
+        } else if (text === "") {
+          value = field.optional ? null : field.kind === "string" ? "" : undefined;
+        } else if (field.kind === "integer" || field.kind === "real") {
+          value = Number(text);
+          if (!isFinite(value) || (field.kind === "integer" && !Number.isInteger(value))) {
+            value = undefined;
+          }
+        } else {
+          value = text;
+        }
+      }
+      input.toggleClass("is-danger", value === undefined);
+      if (value !== undefined) {
+        set_value_at(path, value);
+        update();
+      }
+    });
+
+    graph_select.change(select_graph);
+    use_shorthands.change(update);
+    copy.click(function () {
+      copyToClipboard(code.text()).then(
+        function () {
+          copy.text("Copied");
+        },
+        function () {
+          copy.text("Copy failed").addClass("is-danger");
+        }
+      );
+      setTimeout(function () {
+        copy.text("Copy").removeClass("is-danger");
+      }, 2000);
+    });
+
+    function update() {
+      var julia = julia_call(
+        configuration_type,
+        configuration,
+        type_default(configuration_type),
+        ""
+      );
+      code.text(
+        (use_shorthands.prop("checked") ? "using MCGraphs.Shorthands\n\n" : "") +
+          `configuration = ${julia}`
+      );
+    }
+
+    // The Julia code for creating a configuration, specifying the fields which differ from
+    // their default (in the enclosing configuration).
+    function julia_call(type, value, defaults, indent) {
+      var inner = indent + "    ";
+      var args = [];
+      schema.types[type].fields.forEach(function (field) {
+        var field_value = value[field.name];
+        if (is_same(field_value, defaults[field.name])) {
+          return;
+        }
+        if (field.kind === "struct" && field_value !== null) {
+          var nested = julia_call(field.type, field_value, type_default(field.type), inner);
+          args.push(`${field.name} = ${nested}`);
+        } else {
+          args.push(`${field.name} = ${julia_value(field, field_value)}`);
+        }
+      });
+
+      var name = type_name(type);
+      if (args.length === 0) {
+        return `${name}()`;
+      }
+      var call = `${name}(; ${args.join(", ")})`;
+      if (indent.length + call.length <= 100 && !call.includes("\n")) {
+        return call;
+      }
+      return `${name}(;\n${args
+        .map(function (arg) {
+          return `${inner}${arg},\n`;
+        })
+        .join("")}${indent})`;
+    }
+
+    function julia_value(field, value) {
+      if (value === null) {
+        return "nothing";
+      }
+      switch (field.kind) {
+        case "string":
+          return julia_string(value);
+        case "real":
+          // An `AbstractFloat` field doesn't accept an integer.
+          return field.julia_type.includes("Float") ? julia_float(value) : String(value);
+        case "palette":
+          return typeof value === "string"
+            ? julia_string(value)
+            : `[${julia_palette_entries(value)}]`;
+        case "other":
+          return value.julia;
+        default:
+          return String(value);
+      }
+    }
+
+    function julia_string(value) {
+      return JSON.stringify(value).replace(/\$/g, "\\$");
+    }
+
+    function julia_float(value) {
+      return Number.isInteger(value) ? `${value}.0` : String(value);
+    }
+
+    function julia_palette_entries(entries) {
+      return entries
+        .map(function (entry) {
+          var key = typeof entry[0] === "number" ? julia_float(entry[0]) : julia_string(entry[0]);
+          return `${key} => ${julia_string(entry[1])}`;
+        })
+        .join(", ");
+    }
+
+    select_graph();
+  }
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// The type hierarchy page: a collapsible tree of the graph types, built from the search index.
+// It relies on the naming conventions of the renderers: each `XGraphData` is paired with an
+// `XGraphConfiguration`, combined by the `XGraph` alias of `Graph{D, C}`, which is created by
+// the `x_graph` function.
+$(document).ready(function () {
+  var tree = $("#documenter-type-hierarchy");
+  if (tree.length === 0) {
+    return;
+  }
+  if (typeof documenterSearchIndex === "undefined") {
+    tree.empty().append($("<p>").text("The search index is not available."));
+    return;
+  }
+
+  var entries = {};
+  documenterSearchIndex.docs.forEach(function (entry) {
+    if (entry.category === "type" || entry.category === "function") {
+      entries[entry.title] = entry;
+    }
+  });
+
+  var abstract_data = find_entry("AbstractGraphData");
+  var abstract_configuration = find_entry("AbstractGraphConfiguration");
+  if (abstract_data === null || abstract_configuration === null) {
+    tree.empty().append($("<p>").text("There are no graph types to show."));
+    return;
+  }
+  var module = abstract_data.title.slice(0, abstract_data.title.lastIndexOf(".") + 1);
+  var graph = entries[module + "Graph"];
+
+  // The entry of a type or function, whichever module it is in.
+  function find_entry(name) {
+    var title = Object.keys(entries).find(function (title) {
+      return title === name || title.endsWith("." + name);
+    });
+    return title === undefined ? null : entries[title];
+  }
+
+  function short_name(entry) {
+    return entry.title.slice(entry.title.lastIndexOf(".") + 1);
+  }
+
+  function link(entry, pair) {
+    var a = $(`<a class="type-tree-link"></a>`)
+      .attr("href", documenterBaseURL + "/" + entry.location)
+      .append($("<code>").text(short_name(entry)));
+    if (pair !== undefined) {
+      a.attr("data-pair", pair);
+    }
+    return a;
+  }
+
+  function node(summary, children, open) {
+    var li = $("<li>");
+    if (children.length === 0) {
+      return li.append(summary);
+    }
+    return li.append(
+      $("<details>")
+        .prop("open", open)
+        .append($("<summary>").append(summary), $("<ul>").append(children))
+    );
+  }
+
+  var used = new Set([abstract_data.title, abstract_configuration.title]);
+  if (graph !== undefined) {
+    used.add(graph.title);
+  }
+
+  var pairs = Object.values(entries)
+    .filter(function (entry) {
+      return (
+        entry.category === "type" &&
+        entry !== abstract_data &&
+        /GraphData$/.test(entry.title)
+      );
+    })
+    .map(function (data) {
+      var base = data.title.replace(/Data$/, "");
+      var name = short_name(data).replace(/Data$/, "");
+      var configuration = entries[base + "Configuration"];
+      var alias = entries[base];
+      var constructor =
+        entries[
+          base.slice(0, base.lastIndexOf(".") + 1) +
+            name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase()
+        ];
+      [data, configuration, alias, constructor].forEach(function (entry) {
+        if (entry !== undefined) {
+          used.add(entry.title);
+        }
+      });
+
+      var constructors =
+        constructor === undefined
+          ? []
+          : [node([link(constructor, name), " (creates it)"], [], false)];
+      var aliases =
+        alias === undefined
+          ? constructors
+          : [
+              node(
+                [
+                  link(alias, name),
+                  " = ",
+                  graph === undefined ? "Graph" : link(graph),
+                  "{",
+                  $("<code>").text(short_name(data)),
+                  ", ",
+                  $("<code>").text(configuration === undefined ? "?" : short_name(configuration)),
+                  "}",
+                ],
+                constructors,
+                true
+              ),
+            ];
+      return node(
+        [link(data, name)].concat(
+          configuration === undefined ? [] : [" + ", link(configuration, name)]
+        ),
+        aliases,
+        false
+      );
+    });
+
+  var others = Object.values(entries)
+    .filter(function (entry) {
+      return (
+        entry.category === "type" &&
+        entry.title.startsWith(module) &&
+        !used.has(entry.title)
+      );
+    })
+    .map(function (entry) {
+      return node([link(entry)], [], false);
+    });
+
+  var root = node(
+    [
+      link(abstract_data),
+      " + ",
+      link(abstract_configuration),
+      graph === undefined ? "" : $("<span>").append(" (combined by ", link(graph), "{D, C})"),
+    ],
+    pairs,
+    true
+  );
+  var expand = $(`<button class="button is-small">Expand all</button>`).click(function () {
+    tree.find("details").prop("open", true);
+  });
+  var collapse = $(`<button class="button is-small">Collapse all</button>`).click(
+    function () {
+      tree.find("details").prop("open", false);
+    }
+  );
+
+  tree
+    .empty()
+    .append(
+      $(`<div class="buttons"></div>`).append(expand, collapse),
+      $(`<ul class="type-tree"></ul>`).append(
+        root,
+        others.length === 0 ? [] : node("Other types", others, false)
+      )
+    );
+
+  // Highlight the types (and function) which go together with the hovered (or focused) one.
+  tree.on("mouseenter focusin", "[data-pair]", function () {
+    tree
+      .find(`[data-pair="${$(this).attr("data-pair")}"]`)
+      .addClass("is-highlighted");
+  });
+  tree.on("mouseleave focusout", "[data-pair]", function () {
+    tree.find(".is-highlighted").removeClass("is-highlighted");
+  });
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// Hovering over (or focusing) a link to a docstring shows a popover with its signature and
+// first paragraph, from the search index, so there's no need to leave the page to see what
+// it is. Pinning the popover keeps it open (e.g. while reading on).
+$(document).ready(function () {
+  if (typeof documenterSearchIndex === "undefined") {
+    return;
+  }
+
+  var entries = new Map();
+  var modules = new Set();
+  documenterSearchIndex.docs.forEach(function (entry) {
+    if (entry.category !== "section" && entry.category !== "page") {
+      entries.set(entry.location, entry);
+      modules.add(entry.title.split(".")[0]);
+    }
+  });
+
+  // The links to docstrings, whose anchors are the qualified names of their bindings (e.g.
+  // `#MCGraphs.Renderers.Graph`), but not those in the search results or the outline, which
+  // already say what they link to.
+  var links = [...modules].map((module) => `a[href*="#${module}."]`).join(", ");
+  var excluded =
+    ".docstring-binding, .docs-heading-anchor, .docs-link-popover, #search-modal, .docs-outline";
+
+  var base = new URL(documenterBaseURL + "/", window.location.href).href;
+  var show_delay = 300;
+  var hide_delay = 200;
+  var show_timer = null;
+  var hide_timer = null;
+  var popover = null; // The (unpinned) popover being shown, if any.
+
+  // The search index entry a link points to, if any.
+  function entry_of(link) {
+    var url = new URL(link.href, window.location.href);
+    if (url.hash === "" || !url.href.startsWith(base)) {
+      return null;
+    }
+    var page = url.href.split(/[?#]/)[0].slice(base.length) || "index.html";
+    return entries.get(page + "#" + decodeURIComponent(url.hash.slice(1))) ?? null;
+  }
+
+  function first_paragraph(entry) {
+    var blocks = entry.text
+      .split(/\n\s*\n/)
+      .map((block) => block.trim())
+      .filter((block) => block !== "");
+    if (documenter_entry_signature(entry) !== null) {
+      blocks.shift();
+    }
+    return blocks[0] ?? "";
+  }
+
+  function make_popover(link, entry) {
+    var signature = documenter_entry_signature(entry);
+    var pin = $(
+      `<a href="javascript:;" class="docs-link-popover-pin fa-solid fa-thumbtack" title="Pin (keep this open)"></a>`
+    );
+    var close = $(`<button class="delete is-small" aria-label="Close"></button>`);
+    var card = $(`<div class="docs-link-popover" role="tooltip"></div>`).append(
+      $(`<div class="docs-link-popover-header"></div>`).append(
+        $(`<a class="docs-link-popover-title"></a>`)
+          .attr("href", link.href)
+          .append($("<code>").text(entry.title)),
+        $(`<span class="docs-link-popover-category"></span>`).text(entry.category),
+        pin,
+        close
+      ),
+      signature === null
+        ? []
+        : $("<pre>").append($(`<code class="language-julia"></code>`).text(signature)),
+      $("<p>").text(first_paragraph(entry))
+    );
+
+    pin.click(function () {
+      card.toggleClass("is-pinned");
+      pin.prop("title", card.hasClass("is-pinned") ? "Unpin" : "Pin (keep this open)");
+      if (card.hasClass("is-pinned") && popover === card) {
+        popover = null;
+      } else if (!card.hasClass("is-pinned")) {
+        hide_popover();
+        popover = card;
+      }
+    });
+    close.click(function () {
+      if (popover === card) {
+        popover = null;
+      }
+      card.remove();
+    });
+    card.on("mouseenter focusin", function () {
+      clearTimeout(hide_timer);
+    });
+    card.on("mouseleave focusout", schedule_hide);
+
+    $("body").append(card);
+    place_popover(card, link);
+    return card;
+  }
+
+  // Show the popover below the link (or above it, if there's no room), within the window.
+  function place_popover(card, link) {
+    var rect = link.getBoundingClientRect();
+    var width = card.outerWidth();
+    var height = card.outerHeight();
+    var left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8));
+    var top =
+      rect.bottom + height + 8 > window.innerHeight && rect.top > height + 8
+        ? rect.top - height - 4
+        : rect.bottom + 4;
+    card.css({ left: left + window.scrollX, top: top + window.scrollY });
+  }
+
+  function hide_popover() {
+    if (popover !== null) {
+      popover.remove();
+      popover = null;
+    }
+  }
+
+  function schedule_hide() {
+    clearTimeout(show_timer);
+    clearTimeout(hide_timer);
+    hide_timer = setTimeout(hide_popover, hide_delay);
+  }
+
+  if (links === "") {
+    return;
+  }
+
+  $(document).on("mouseenter focusin", links, function () {
+    var link = this;
+    if ($(link).closest(excluded).length > 0) {
+      return;
+    }
+    var entry = entry_of(link);
+    if (entry === null) {
+      return;
+    }
+    clearTimeout(show_timer);
+    clearTimeout(hide_timer);
+    show_timer = setTimeout(function () {
+      hide_popover();
+      popover = make_popover(link, entry);
+    }, show_delay);
+  });
+
+  $(document).on("mouseleave focusout", links, schedule_hide);
+
+  $(document).on("keydown", function (event) {
+    if (event.key === "Escape") {
+      clearTimeout(show_timer);
+      hide_popover();
+    }
+  });
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery'], function($) {
+
+// An outline of the page (its sections and docstrings) for long pages, which highlights the
+// section in view. On wide screens it is shown to the right of the page; on narrow screens,
+// it is a dropdown at its top.
+var outline_wide_query = "(min-width: 1440px)"; // Must match assets/layout.css.
+var outline_min_entries = 8;
+
+$(document).ready(function () {
+  var article = $("article.content");
+  var targets = article
+    .find("h2[id], h3[id], .docstring-binding[id]")
+    .filter(function () {
+      return $(this).closest(".docstring section").length === 0;
+    });
+  if (targets.length < outline_min_entries) {
+    return;
+  }
+
+  var list = $(`<ul class="docs-outline-list"></ul>`);
+  var heading_level = 0; // Docstrings are nested under the heading before them (if any).
+  var links = targets.map(function () {
+    var target = $(this);
+    var text;
+    var title = null;
+    if (target.hasClass("docstring-binding")) {
+      title = target.text().trim();
+      text = title.split(".").pop();
+    } else {
+      heading_level = target.is("h2") ? 1 : 2;
+      text = target.text().trim();
+    }
+    var link = $("<a>")
+      .attr("href", "#" + this.id)
+      .text(text)
+      .toggleClass("is-docstring", title !== null);
+    if (title !== null) {
+      link.attr("title", title);
+    }
+    list.append(
+      $("<li>")
+        .addClass(`docs-outline-level-${title === null ? heading_level : heading_level + 1}`)
+        .append(link)
+    );
+    return link.get(0);
+  });
+
+  var outline = $(`<details class="docs-outline"></details>`).append(
+    $(`<summary>On this page</summary>`),
+    list
+  );
+  article.prepend(outline);
+
+  // Wide screens always show the outline, so it is open (and its summary hidden).
+  var wide = window.matchMedia(outline_wide_query);
+  function follow_width() {
+    outline.prop("open", wide.matches);
+  }
+  follow_width();
+  if (typeof wide.addEventListener === "function") {
+    wide.addEventListener("change", follow_width);
+  } else if (typeof wide.addListener === "function") {
+    wide.addListener(follow_width);
+  }
+
+  list.on("click", "a", function () {
+    if (!wide.matches) {
+      outline.prop("open", false);
+    }
+  });
+
+  // The current section is the last one whose title was scrolled past the navigation bar.
+  var active = null;
+  function update_active() {
+    var offset = $("#documenter .docs-main > header").outerHeight() ?? 0;
+    var current = 0;
+    targets.each(function (index) {
+      if (this.getBoundingClientRect().top <= offset + 8) {
+        current = index;
+      }
+    });
+    var link = $(links[current]);
+    if (active !== null && active.is(link)) {
+      return;
+    }
+    if (active !== null) {
+      active.removeClass("is-active");
+    }
+    active = link.addClass("is-active");
+
+    // Keep the active entry in view in the outline.
+    var list_element = list.get(0);
+    var link_top = link.get(0).offsetTop - list_element.offsetTop;
+    if (
+      link_top < list_element.scrollTop ||
+      link_top > list_element.scrollTop + list_element.clientHeight - link.outerHeight()
+    ) {
+      list_element.scrollTop = link_top - list_element.clientHeight / 2;
+    }
+  }
+
+  var update_scheduled = false;
+  $(window).on("scroll resize", function () {
+    if (!update_scheduled) {
+      update_scheduled = true;
+      window.requestAnimationFrame(function () {
+        update_scheduled = false;
+        update_active();
+      });
+    }
+  });
+  update_active();
+});
+
+})
@@ -0,0 +1,150 @@
+// The MiniSearch options of the search index. These are shared by the search worker (which
+// gets this file with importScripts) and by deps/search_index.js, which serializes the
+// index ahead of time. A serialized index can only be loaded using the same options it was
+// built with, so the two must never diverge.
+
+// Increment this whenever the options change, so that indices cached by the browser with
+// the old options are discarded.
+const documenterMinisearchOptionsVersion = 2;
+
+function documenter_minisearch_options() {
+  // list below is the lunr 2.1.3 list minus the intersect with names(Base)
+  // (all, any, get, in, is, only, which) and (do, else, for, let, where, while, with)
+  // ideally we'd just filter the original list but it's not available as a variable
+  const stopWords = new Set([
+    "a",
+    "able",
+    "about",
+    "across",
+    "after",
+    "almost",
+    "also",
+    "am",
+    "among",
+    "an",
+    "and",
+    "are",
+    "as",
+    "at",
+    "be",
+    "because",
+    "been",
+    "but",
+    "by",
+    "can",
+    "cannot",
+    "could",
+    "dear",
+    "did",
+    "does",
+    "either",
+    "ever",
+    "every",
+    "from",
+    "got",
+    "had",
+    "has",
+    "have",
+    "he",
+    "her",
+    "hers",
+    "him",
+    "his",
+    "how",
+    "however",
+    "i",
+    "if",
+    "into",
+    "it",
+    "its",
+    "just",
+    "least",
+    "like",
+    "likely",
+    "may",
+    "me",
+    "might",
+    "most",
+    "must",
+    "my",
+    "neither",
+    "no",
+    "nor",
+    "not",
+    "of",
+    "off",
+    "often",
+    "on",
+    "or",
+    "other",
+    "our",
+    "own",
+    "rather",
+    "said",
+    "say",
+    "says",
+    "she",
+    "should",
+    "since",
+    "so",
+    "some",
+    "than",
+    "that",
+    "the",
+    "their",
+    "them",
+    "then",
+    "there",
+    "these",
+    "they",
+    "this",
+    "tis",
+    "to",
+    "too",
+    "twas",
+    "us",
+    "wants",
+    "was",
+    "we",
+    "were",
+    "what",
+    "when",
+    "who",
+    "whom",
+    "why",
+    "will",
+    "would",
+    "yet",
+    "you",
+    "your",
+  ]);
+
+  return {
+    fields: ["title", "text"], // fields to index for full-text search
+    storeFields: ["location", "title", "text", "category", "page"], // fields to return with results
+    processTerm: (term) => {
+      let word = stopWords.has(term) ? null : term;
+      if (word) {
+        // custom trimmer that doesn't strip @ and !, which are used in julia macro and function names
+        word = word
+          .replace(/^[^a-zA-Z0-9@!]+/, "")
+          .replace(/[^a-zA-Z0-9@!]+$/, "");
+
+        word = word.toLowerCase();
+      }
+
+      return word ?? null;
+    },
+    // add . as a separator, because otherwise "title": "Documenter.Anchors.add!", would not
+    // find anything if searching for "add!", only for the entire qualification; likewise
+    // split Julia signatures such as `daf::DafReader` or `Maybe{AbstractString}` so that
+    // searching for the types finds them
+    tokenize: (string) => string.split(/[\s\-\.,;(){}\[\]]+|::/),
+    // options which will be applied during the search
+    searchOptions: {
+      prefix: true,
+      boost: { title: 100 },
+      fuzzy: 2,
+    },
+  };
+}
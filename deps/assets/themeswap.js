@@ -0,0 +1,163 @@
+// The registry of themes: every stylesheet (<link> or <style>) in the page with a
+// data-theme-name attribute is a theme, so adding one (e.g. a high-contrast theme for
+// presentations, whose rules are prefixed with html.theme--<name>) is all it takes to make
+// it available in the themepicker. A data-theme-label attribute gives it a nicer name there,
+// and a data-theme-dark attribute says it is a dark theme (as the primary dark one is).
+function documenter_themes() {
+  var nodes = document.querySelectorAll(
+    "link[data-theme-name], style[data-theme-name]"
+  );
+  var themes = [];
+  for (var i = 0; i < nodes.length; i++) {
+    var node = nodes[i];
+    themes.push({
+      name: node.getAttribute("data-theme-name"),
+      label:
+        node.getAttribute("data-theme-label") ||
+        node.getAttribute("data-theme-name"),
+      primary: node.getAttribute("data-theme-primary") !== null,
+      primaryDark: node.getAttribute("data-theme-primary-dark") !== null,
+      dark:
+        node.getAttribute("data-theme-primary-dark") !== null ||
+        node.getAttribute("data-theme-dark") !== null,
+      node: node,
+    });
+  }
+  return themes;
+}
+
+// The active theme ({theme, dark}, as in the documenter-theme-changed event), or null if there
+// is none (yet).
+function documenter_active_theme() {
+  var themes = documenter_themes();
+  for (var i = 0; i < themes.length; i++) {
+    var node = themes[i].node;
+    var isDisabled = node.sheet ? node.sheet.disabled : node.disabled;
+    if (!isDisabled) {
+      return { theme: themes[i].name, dark: themes[i].dark };
+    }
+  }
+  return null;
+}
+
+// Small function to quickly swap out themes. Gets put into the <head> tag..
+function set_theme_from_local_storage() {
+  // Initialize the theme to null, which means default
+  var theme = null;
+  // If the browser supports the localstorage and is not disabled then try to get the
+  // documenter theme
+  if (window.localStorage != null) {
+    // Get the user-picked theme from localStorage. May be `null`, which means the default
+    // theme.
+    theme = window.localStorage.getItem("documenter-theme");
+  }
+  // Check if the users preference is for dark color scheme
+  var darkPreference =
+    window.matchMedia("(prefers-color-scheme: dark)").matches === true;
+  // Initialize a few variables for the loop:
+  //
+  //  - active: will contain the index of the theme that should be active. Note that there
+  //    is no guarantee that localStorage contains sane values. If `active` stays `null`
+  //    we either could not find the theme or it is the default (primary) theme anyway.
+  //    Either way, we then need to stick to the primary theme.
+  //
+  //  - disabled: style sheets that should be disabled (i.e. all the theme style sheets
+  //    that are not the currently active theme)
+  var active = null;
+  var disabled = [];
+  var primaryLightTheme = null;
+  var primaryDarkTheme = null;
+  var themes = documenter_themes();
+  for (var i = 0; i < themes.length; i++) {
+    // The names in localStorage must match the data-theme-name of a theme.
+    var themename = themes[i].name;
+    // To distinguish the default (primary) theme, it needs to have the data-theme-primary
+    // attribute set.
+    if (themes[i].primary) {
+      primaryLightTheme = themename;
+    }
+    // Check if the theme is primary dark theme so that we could store its name in darkTheme
+    if (themes[i].primaryDark) {
+      primaryDarkTheme = themename;
+    }
+    // If we find a matching theme (and it's not the default), we'll set active to non-null
+    if (themename === theme) active = i;
+    // Store the style sheets of inactive themes so that we could disable them
+    if (themename !== theme) disabled.push(themes[i]);
+  }
+  var activeTheme = null;
+  if (active !== null) {
+    // If we did find an active theme, we'll (1) add the theme--$(theme) class to <html>
+    document.getElementsByTagName("html")[0].className = "theme--" + theme;
+    activeTheme = theme;
+  } else {
+    // If we did _not_ find an active theme, then we need to fall back to the primary theme
+    // which can either be dark or light, depending on the user's OS preference.
+    var activeTheme = darkPreference ? primaryDarkTheme : primaryLightTheme;
+    // In case it somehow happens that the relevant primary theme was not found in the
+    // preceding loop, we abort without doing anything.
+    if (activeTheme === null) {
+      console.error("Unable to determine primary theme.");
+      return;
+    }
+    // When switching to the primary light theme, then we must not have a class name
+    // for the <html> tag. That's only for non-primary or the primary dark theme.
+    if (darkPreference) {
+      document.getElementsByTagName("html")[0].className =
+        "theme--" + activeTheme;
+    } else {
+      document.getElementsByTagName("html")[0].className = "";
+    }
+  }
+  var activeDark = false;
+  for (var i = 0; i < themes.length; i++) {
+    // we'll disable all the stylesheets, except for the active one. A <link> which is still
+    // loading has no sheet yet, but disabling the element itself works as well.
+    var node = themes[i].node;
+    var isDisabled = !(themes[i].name == activeTheme);
+    if (!isDisabled) activeDark = themes[i].dark;
+    if (node.sheet) {
+      node.sheet.disabled = isDisabled;
+    } else {
+      node.disabled = isDisabled;
+    }
+  }
+  // Let anything which depends on the theme (e.g. graphs) follow it.
+  document.dispatchEvent(
+    new CustomEvent("documenter-theme-changed", {
+      detail: { theme: activeTheme, dark: activeDark },
+    })
+  );
+}
+set_theme_from_local_storage();
+
+// Follow changes of the OS color scheme (e.g. in the evening) while the page is open; this
+// only matters for the "auto" theme, which is when nothing is in localStorage.
+(function () {
+  var darkSchemeQuery = window.matchMedia("(prefers-color-scheme: dark)");
+  if (typeof darkSchemeQuery.addEventListener === "function") {
+    darkSchemeQuery.addEventListener("change", set_theme_from_local_storage);
+  } else if (typeof darkSchemeQuery.addListener === "function") {
+    // Safari < 14
+    darkSchemeQuery.addListener(set_theme_from_local_storage);
+  }
+})();
+
+// Apply the theme again when themes are added to the page later on (e.g. by a script), and
+// tell the themepicker about them.
+if (typeof MutationObserver === "function") {
+  new MutationObserver(function (mutations) {
+    var added = mutations.some(function (mutation) {
+      return Array.prototype.some.call(mutation.addedNodes, function (node) {
+        return (
+          node.nodeType === Node.ELEMENT_NODE &&
+          node.hasAttribute("data-theme-name")
+        );
+      });
+    });
+    if (added) {
+      set_theme_from_local_storage();
+      document.dispatchEvent(new CustomEvent("documenter-themes-changed"));
+    }
+  }).observe(document.head, { childList: true });
+}
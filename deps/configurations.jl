@@ -0,0 +1,112 @@
+# Export the schema of the graph configuration types, for the configuration playground of the generated documentation.
+# This is included by `document.jl` (which has already loaded `MCGraphs`).
+#
+# For each graph type, this lists its configuration type; for each configuration type (including the nested ones), this
+# lists its fields (in order), with their kind (for the form), their Julia type and their default value (which for a
+# nested configuration is the complete nested default, as the default of a field may differ from the default of its
+# type, e.g. `BandsConfiguration.low`), and whether the type is exported. It also lists the shorthand name of each type
+# (if any).
+
+function configuration_field_kind(type::Type)::NamedTuple
+    optional = type !== Any && Nothing <: type
+    base = optional ? Base.nonnothingtype(type) : type
+    if base === Bool
+        return (kind = "bool", optional = optional)
+    elseif base <: Integer
+        return (kind = "integer", optional = optional)
+    elseif base <: Real
+        return (kind = "real", optional = optional)
+    elseif base <: AbstractString
+        return (kind = "string", optional = optional)
+    elseif base <: Enum
+        return (kind = "enum", optional = optional, values = [string(value) for value in instances(base)])
+    elseif isconcretetype(base) &&
+           parentmodule(base) === MCGraphs.Renderers &&
+           endswith(string(nameof(base)), "Configuration")
+        return (kind = "struct", optional = optional, type = string(nameof(base)))
+    elseif MCGraphs.Renderers.ContinuousColors <: base
+        # A colors palette: either the name of one of the named palettes, or a vector of (value, color) entries.
+        palettes = sort!(collect(keys(MCGraphs.Renderers.NAMED_COLOR_PALETTES)))
+        return (kind = "palette", optional = optional, values = palettes)
+    else
+        return (kind = "other", optional = optional)
+    end
+end
+
+function collect_configuration_types!(types::Dict{String, Any}, type::Type)::Nothing
+    name = string(nameof(type))
+    if !haskey(types, name)
+        default = type()
+        fields = []
+        types[name] = (exported = nameof(type) in names(MCGraphs.Renderers), fields = fields)
+        for (field_name, field_type) in zip(fieldnames(type), fieldtypes(type))
+            kind = configuration_field_kind(field_type)
+            push!(
+                fields,
+                (;
+                    name = string(field_name),
+                    julia_type = string(field_type),
+                    default = getfield(default, field_name),
+                    kind...,
+                ),
+            )
+            if kind.kind == "struct"
+                collect_configuration_types!(types, getfield(MCGraphs.Renderers, Symbol(kind.type)))
+            end
+        end
+    end
+    return nothing
+end
+
+function configuration_json(value)::String
+    if value === nothing
+        return "null"
+    elseif value isa Bool || value isa Integer
+        return string(value)
+    elseif value isa Real
+        return isfinite(value) ? string(Float64(value)) : "null"
+    elseif value isa AbstractString || value isa Symbol || value isa Enum
+        text = replace(string(value), "\\" => "\\\\", "\"" => "\\\"", "\n" => "\\n")
+        return "\"$(text)\""
+    elseif value isa AbstractVector || value isa Tuple
+        return "[" * join([configuration_json(entry) for entry in value], ",") * "]"
+    elseif value isa AbstractDict
+        return configuration_json_object([(key, value[key]) for key in sort!(collect(keys(value)))])
+    elseif value isa NamedTuple
+        return configuration_json_object(collect(pairs(value)))
+    else
+        return configuration_json_object([(name, getfield(value, name)) for name in fieldnames(typeof(value))])
+    end
+end
+
+function configuration_json_object(entries::AbstractVector)::String
+    entries = ["$(configuration_json(key)):$(configuration_json(value))" for (key, value) in entries]
+    return "{" * join(entries, ",") * "}"
+end
+
+function export_configurations(path::AbstractString)::Nothing
+    graphs = []
+    types = Dict{String, Any}()
+    for name in names(MCGraphs.Renderers)
+        value = getfield(MCGraphs.Renderers, name)
+        if value isa Type && value <: MCGraphs.Renderers.Graph && isconcretetype(value)
+            configuration_type = value.parameters[2]
+            push!(graphs, (graph = string(name), configuration = string(nameof(configuration_type))))
+            collect_configuration_types!(types, configuration_type)
+        end
+    end
+
+    shorthands = Dict{String, String}()
+    for name in names(MCGraphs.Shorthands)
+        value = getfield(MCGraphs.Shorthands, name)
+        if value isa Type && name != nameof(value)
+            shorthands[string(nameof(value))] = string(name)
+        end
+    end
+
+    open(path, "w") do file
+        write(file, configuration_json((graphs = graphs, types = types, shorthands = shorthands)))
+        return nothing
+    end
+    return nothing
+end
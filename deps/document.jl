@@ -43,12 +43,27 @@ makedocs(;
     linkcheck = true,
     format = Documenter.HTML(;
         repolink = "$(REPO)/blob/main{path}?plain=1#L{line}",
+        assets = ["assets/layout.css"],
         prettyurls = false,
         size_threshold_warn = 200 * 2^10,
     ),
-    pages = ["index.md", "validations.md", "renderers.md", "extractors.md", "plotters.md"],
+    pages = [
+        "index.md",
+        "validations.md",
+        "renderers.md",
+        "gallery.md",
+        "playground.md",
+        "types.md",
+        "shorthands.md",
+        "extractors.md",
+        "plotters.md",
+        "changes.md",
+    ],
 )
 
+include("configurations.jl")
+export_configurations(joinpath(@__DIR__, "..", "docs", "v$(VERSION)", "configurations.json"))
+
 if seen_problems
     exit(1)
 end
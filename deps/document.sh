@@ -2,4 +2,9 @@
 set -e -o pipefail
 julia --color=no deps/document.jl
 sed -i 's: on <span class="colophon-date" title="[^"]*">[^<]*</span>::;s:<:\n<:g' docs/v0.1.0/*html
+cp -r deps/assets/. docs/v0.1.0/assets/
+node deps/vendor.js docs/v0.1.0
+node deps/local_assets.js docs/v0.1.0
+node deps/search_index.js docs/v0.1.0
+node deps/gallery.js docs/v0.1.0
 rm -rf docs/*/*.{cov,jl}
@@ -0,0 +1,52 @@
+// Export the figures of the graph gallery of the generated documentation. Each graph type is
+// shown using one of the expected outputs of the renderer tests (which `graph_to_figure`
+// produced, and the tests verify), so the gallery always shows what the code really renders.
+// This extracts the Plotly data, layout and config from the HTML of each of these.
+//
+// The configuration playground shows the same figures, as samples of each graph type.
+//
+// Usage: node deps/gallery.js docs/v<version>
+
+const fs = require("fs");
+const path = require("path");
+
+const docs = process.argv[2];
+
+// The graph types, in the order they are documented, with the test which shows each of them.
+const GRAPHS = [
+  ["PointsGraph", "points_graph", "points.categorical.legend.title"],
+  ["LineGraph", "line_graph", "line.titles"],
+  ["LinesGraph", "lines_graph", "lines.names.legend.title"],
+  ["CdfGraph", "cdf_graph", "cdf"],
+  ["CdfsGraph", "cdfs_graph", "cdfs.legend.title"],
+  ["GridGraph", "grid_graph", "grid.categorical.legend.title"],
+  ["BarGraph", "bar_graph", "bar.titles"],
+  ["BarsGraph", "bars_graph", "bars.names.legend.title"],
+  ["DistributionGraph", "distribution_graph", "distribution.violin.box"],
+  ["DistributionsGraph", "distributions_graph", "distributions.box.legend&titles"],
+  ["HeatmapGraph", "heatmap_graph", "heatmap.annotations"],
+];
+
+function figure_of(test) {
+  const html = fs.readFileSync(
+    path.join(__dirname, "..", "test", "expected", test + ".html"),
+    "utf8"
+  );
+  // Plotly.newPlot('id-1', data, layout, config, ) - the arguments (but the first) are JSON.
+  const match = /Plotly\.newPlot\(\s*'[^']*',([\s\S]*?),\s*\)\s*\}/.exec(html);
+  if (match === null) {
+    throw new Error(`no Plotly.newPlot in the expected output of ${test}`);
+  }
+  const [data, layout, config] = JSON.parse("[" + match[1] + "]");
+  return { data: data, layout: layout, config: config };
+}
+
+const gallery = GRAPHS.map(([type, constructor, test]) => ({
+  type: type,
+  constructor: constructor,
+  location: `renderers.html#MCGraphs.Renderers.${type}`,
+  constructor_location: `renderers.html#MCGraphs.Renderers.${constructor}`,
+  figure: figure_of(test),
+}));
+
+fs.writeFileSync(path.join(docs, "gallery.json"), JSON.stringify(gallery));
@@ -0,0 +1,65 @@
+// Make the pages generated by Documenter.jl use the libraries vendored by deps/vendor.js.
+//
+// By default, the style sheets and require.js are still loaded from their CDN, but fall back to
+// the vendored copy if that fails (documenter.js does the same for the libraries it loads). In
+// the local-asset mode (setting DOCUMENTER_LOCAL_ASSETS=true when building the docs) they are
+// only loaded from the vendored copies, and each page sets DOCUMENTER_LOCAL_ASSETS for
+// documenter.js to do the same, so the docs never access a CDN.
+//
+// Usage: [DOCUMENTER_LOCAL_ASSETS=true] node deps/local_assets.js docs/v<version>
+
+const fs = require("fs");
+const path = require("path");
+const { URLS, local_path } = require("./vendor.js");
+
+const docs = process.argv[2];
+const local_mode = process.env.DOCUMENTER_LOCAL_ASSETS === "true";
+
+function escape_regex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function localize(html) {
+  for (const url of URLS) {
+    const local = "assets/vendor/" + local_path(url);
+    const pattern = escape_regex(url);
+
+    html = html.replace(new RegExp(`<link href="${pattern}"([^>]*?)/?>`, "g"), (tag, rest) => {
+      if (rest.includes("data-local-href")) {
+        return tag;
+      }
+      if (local_mode) {
+        return `<link href="${local}"${rest}/>`;
+      }
+      return (
+        `<link href="${url}"${rest} data-local-href="${local}"` +
+        ` onerror="this.onerror=null;this.href=this.dataset.localHref"/>`
+      );
+    });
+
+    html = html.replace(new RegExp(`<script src="${pattern}"([^>]*)>`, "g"), (tag, rest) => {
+      if (rest.includes("data-local-src")) {
+        return tag;
+      }
+      if (local_mode) {
+        return `<script>DOCUMENTER_LOCAL_ASSETS=true\n</script>\n<script src="${local}"${rest}>`;
+      }
+      // A script doesn't retry loading, so we need to load the vendored copy in a new one.
+      return (
+        `<script src="${url}"${rest} data-local-src="${local}"` +
+        ` onerror="var s=document.createElement('script');s.src=this.dataset.localSrc;` +
+        `s.dataset.main=this.dataset.main;document.head.appendChild(s)">`
+      );
+    });
+  }
+  return html;
+}
+
+// This is idempotent, so it doesn't matter whether the pages were regenerated since the last run.
+// The pages are all at the top of the docs (as we don't use pretty URLs).
+for (const name of fs.readdirSync(docs)) {
+  if (name.endsWith(".html")) {
+    const file = path.join(docs, name);
+    fs.writeFileSync(file, localize(fs.readFileSync(file, "utf8")));
+  }
+}
@@ -0,0 +1,48 @@
+// Serialize the MiniSearch index of the generated documentation, so the search worker can
+// load it instead of building it from scratch on every page. This uses the same MiniSearch
+// (vendored in deps/vendor by deps/vendor.js) and the same options
+// (deps/assets/minisearch_options.js) as the search worker. These are read from deps rather
+// than from the docs, which makedocs cleans.
+//
+// Usage: node deps/search_index.js docs/v<version>
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const docs = process.argv[2];
+
+const context = { self: {} };
+context.self = context;
+vm.createContext(context);
+for (const script of [
+  path.join(__dirname, "vendor/minisearch/6.1.0/dist/umd/index.min.js"),
+  path.join(__dirname, "assets/minisearch_options.js"),
+  path.join(docs, "search_index.js"),
+]) {
+  vm.runInContext(fs.readFileSync(script, "utf8"), context, { filename: script });
+}
+
+const { MiniSearch, documenterSearchIndex } = context;
+
+// The search worker collects the shorthand aliases from their entries (see `collect_aliases` in
+// deps/assets/documenter.js), so make sure these are still in the index and worded as expected.
+const aliases = documenterSearchIndex["docs"].filter(
+  (x) => /\.Shorthands\.\w+$/.test(x.title) && /^Shorthand for \w+/.test(x.text)
+);
+if (aliases.length === 0) {
+  console.error("No shorthand aliases (`Shorthand for ...` docstrings) in the search index");
+  process.exit(1);
+}
+const index = new MiniSearch(context.documenter_minisearch_options());
+index.addAll(
+  documenterSearchIndex["docs"].map((x, key) => {
+    x["id"] = key; // minisearch requires a unique for each object
+    return x;
+  })
+);
+
+fs.writeFileSync(
+  path.join(docs, "search_index.minisearch.json"),
+  JSON.stringify(index)
+);
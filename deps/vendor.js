@@ -0,0 +1,99 @@
+// Vendor the libraries which the generated documentation loads from CDNs, so it also works
+// where these can't be reached (see deps/local_assets.js). Each file is downloaded once into
+// deps/vendor (a cache, which isn't committed), together with the fonts its style sheet
+// refers to, and is copied to the assets/vendor directory of the docs. That directory is
+// committed with the rest of the docs, as it is part of the published site.
+//
+// Usage: node deps/vendor.js docs/v<version>
+//
+// This is also used by deps/local_assets.js, for mapping the CDN URLs to the vendored copies.
+
+const fs = require("fs");
+const path = require("path");
+
+const docs = process.argv[2];
+
+const CACHE = path.join(__dirname, "vendor");
+
+// These must match the CDN URLs in the pages generated by Documenter.jl and in
+// deps/assets/documenter.js.
+const CDNJS = "https://cdnjs.cloudflare.com/ajax/libs/";
+const JSDELIVR = "https://cdn.jsdelivr.net/npm/";
+
+const URLS = [
+  CDNJS + "require.js/2.3.6/require.min.js",
+  CDNJS + "jquery/3.7.0/jquery.min.js",
+  CDNJS + "jqueryui/1.13.2/jquery-ui.min.js",
+  CDNJS + "headroom/0.12.0/headroom.min.js",
+  CDNJS + "headroom/0.12.0/jQuery.headroom.min.js",
+  CDNJS + "highlight.js/11.8.0/highlight.min.js",
+  CDNJS + "highlight.js/11.8.0/languages/julia.min.js",
+  CDNJS + "highlight.js/11.8.0/languages/julia-repl.min.js",
+  CDNJS + "KaTeX/0.16.8/katex.min.js",
+  CDNJS + "KaTeX/0.16.8/contrib/auto-render.min.js",
+  CDNJS + "KaTeX/0.16.8/katex.min.css",
+  CDNJS + "font-awesome/6.4.2/css/fontawesome.min.css",
+  CDNJS + "font-awesome/6.4.2/css/solid.min.css",
+  CDNJS + "font-awesome/6.4.2/css/brands.min.css",
+  CDNJS + "lato-font/3.0.0/css/lato-font.min.css",
+  CDNJS + "juliamono/0.050/juliamono.min.css",
+  CDNJS + "plotly.js/2.3.0/plotly.min.js",
+  JSDELIVR + "minisearch@6.1.0/dist/umd/index.min.js",
+];
+
+// The path of a vendored file under assets/vendor, e.g. `jquery/3.7.0/jquery.min.js` or
+// `minisearch/6.1.0/dist/umd/index.min.js`.
+function local_path(url) {
+  url = url.split(/[?#]/)[0];
+  if (url.startsWith(CDNJS)) {
+    return url.slice(CDNJS.length);
+  }
+  if (url.startsWith(JSDELIVR)) {
+    return url.slice(JSDELIVR.length).replace(/^([^@/]+)@([^/]+)/, "$1/$2");
+  }
+  throw new Error(`no local path for ${url}`);
+}
+
+// The files a style sheet refers to (fonts), as absolute URLs.
+function referenced_urls(css, css_url) {
+  const urls = [];
+  for (const match of css.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)) {
+    if (!match[2].startsWith("data:")) {
+      urls.push(new URL(match[2], css_url).href);
+    }
+  }
+  return [...new Set(urls)];
+}
+
+async function download(url) {
+  const file = path.join(CACHE, local_path(url));
+  if (!fs.existsSync(file)) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP status ${response.status} for ${url}`);
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+  }
+  if (file.endsWith(".css")) {
+    for (const referenced of referenced_urls(fs.readFileSync(file, "utf8"), url)) {
+      await download(referenced);
+    }
+  }
+}
+
+async function main() {
+  for (const url of URLS) {
+    await download(url);
+  }
+  fs.cpSync(CACHE, path.join(docs, "assets", "vendor"), { recursive: true });
+}
+
+module.exports = { URLS, local_path };
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
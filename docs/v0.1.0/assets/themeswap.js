@@ -1,3 +1,45 @@
+// The registry of themes: every stylesheet (<link> or <style>) in the page with a
+// data-theme-name attribute is a theme, so adding one (e.g. a high-contrast theme for
+// presentations, whose rules are prefixed with html.theme--<name>) is all it takes to make
+// it available in the themepicker. A data-theme-label attribute gives it a nicer name there,
+// and a data-theme-dark attribute says it is a dark theme (as the primary dark one is).
+function documenter_themes() {
+  var nodes = document.querySelectorAll(
+    "link[data-theme-name], style[data-theme-name]"
+  );
+  var themes = [];
+  for (var i = 0; i < nodes.length; i++) {
+    var node = nodes[i];
+    themes.push({
+      name: node.getAttribute("data-theme-name"),
+      label:
+        node.getAttribute("data-theme-label") ||
+        node.getAttribute("data-theme-name"),
+      primary: node.getAttribute("data-theme-primary") !== null,
+      primaryDark: node.getAttribute("data-theme-primary-dark") !== null,
+      dark:
+        node.getAttribute("data-theme-primary-dark") !== null ||
+        node.getAttribute("data-theme-dark") !== null,
+      node: node,
+    });
+  }
+  return themes;
+}
+
+// The active theme ({theme, dark}, as in the documenter-theme-changed event), or null if there
+// is none (yet).
+function documenter_active_theme() {
+  var themes = documenter_themes();
+  for (var i = 0; i < themes.length; i++) {
+    var node = themes[i].node;
+    var isDisabled = node.sheet ? node.sheet.disabled : node.disabled;
+    if (!isDisabled) {
+      return { theme: themes[i].name, dark: themes[i].dark };
+    }
+  }
+  return null;
+}
+
 // Small function to quickly swap out themes. Gets put into the <head> tag..
 function set_theme_from_local_storage() {
   // Initialize the theme to null, which means default
@@ -25,26 +67,23 @@ function set_theme_from_local_storage() {
   var disabled = [];
   var primaryLightTheme = null;
   var primaryDarkTheme = null;
-  for (var i = 0; i < document.styleSheets.length; i++) {
-    var ss = document.styleSheets[i];
-    // The <link> tag of each style sheet is expected to have a data-theme-name attribute
-    // which must contain the name of the theme. The names in localStorage much match this.
-    var themename = ss.ownerNode.getAttribute("data-theme-name");
-    // attribute not set => non-theme stylesheet => ignore
-    if (themename === null) continue;
+  var themes = documenter_themes();
+  for (var i = 0; i < themes.length; i++) {
+    // The names in localStorage must match the data-theme-name of a theme.
+    var themename = themes[i].name;
     // To distinguish the default (primary) theme, it needs to have the data-theme-primary
     // attribute set.
-    if (ss.ownerNode.getAttribute("data-theme-primary") !== null) {
+    if (themes[i].primary) {
       primaryLightTheme = themename;
     }
     // Check if the theme is primary dark theme so that we could store its name in darkTheme
-    if (ss.ownerNode.getAttribute("data-theme-primary-dark") !== null) {
+    if (themes[i].primaryDark) {
       primaryDarkTheme = themename;
     }
     // If we find a matching theme (and it's not the default), we'll set active to non-null
     if (themename === theme) active = i;
     // Store the style sheets of inactive themes so that we could disable them
-    if (themename !== theme) disabled.push(ss);
+    if (themename !== theme) disabled.push(themes[i]);
   }
   var activeTheme = null;
   if (active !== null) {
@@ -70,15 +109,55 @@ function set_theme_from_local_storage() {
       document.getElementsByTagName("html")[0].className = "";
     }
   }
-  for (var i = 0; i < document.styleSheets.length; i++) {
-    var ss = document.styleSheets[i];
-    // The <link> tag of each style sheet is expected to have a data-theme-name attribute
-    // which must contain the name of the theme. The names in localStorage much match this.
-    var themename = ss.ownerNode.getAttribute("data-theme-name");
-    // attribute not set => non-theme stylesheet => ignore
-    if (themename === null) continue;
-    // we'll disable all the stylesheets, except for the active one
-    ss.disabled = !(themename == activeTheme);
+  var activeDark = false;
+  for (var i = 0; i < themes.length; i++) {
+    // we'll disable all the stylesheets, except for the active one. A <link> which is still
+    // loading has no sheet yet, but disabling the element itself works as well.
+    var node = themes[i].node;
+    var isDisabled = !(themes[i].name == activeTheme);
+    if (!isDisabled) activeDark = themes[i].dark;
+    if (node.sheet) {
+      node.sheet.disabled = isDisabled;
+    } else {
+      node.disabled = isDisabled;
+    }
   }
+  // Let anything which depends on the theme (e.g. graphs) follow it.
+  document.dispatchEvent(
+    new CustomEvent("documenter-theme-changed", {
+      detail: { theme: activeTheme, dark: activeDark },
+    })
+  );
 }
 set_theme_from_local_storage();
+
+// Follow changes of the OS color scheme (e.g. in the evening) while the page is open; this
+// only matters for the "auto" theme, which is when nothing is in localStorage.
+(function () {
+  var darkSchemeQuery = window.matchMedia("(prefers-color-scheme: dark)");
+  if (typeof darkSchemeQuery.addEventListener === "function") {
+    darkSchemeQuery.addEventListener("change", set_theme_from_local_storage);
+  } else if (typeof darkSchemeQuery.addListener === "function") {
+    // Safari < 14
+    darkSchemeQuery.addListener(set_theme_from_local_storage);
+  }
+})();
+
+// Apply the theme again when themes are added to the page later on (e.g. by a script), and
+// tell the themepicker about them.
+if (typeof MutationObserver === "function") {
+  new MutationObserver(function (mutations) {
+    var added = mutations.some(function (mutation) {
+      return Array.prototype.some.call(mutation.addedNodes, function (node) {
+        return (
+          node.nodeType === Node.ELEMENT_NODE &&
+          node.hasAttribute("data-theme-name")
+        );
+      });
+    });
+    if (added) {
+      set_theme_from_local_storage();
+      document.dispatchEvent(new CustomEvent("documenter-themes-changed"));
+    }
+  }).observe(document.head, { childList: true });
+}
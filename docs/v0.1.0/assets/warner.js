@@ -1,3 +1,181 @@
+// This is the first script of each page (and isn't loaded by require.js), so it also holds
+// the helpers documenter.js shares with it.
+
+// Things remembered across pages and visits (search history, collapsed docstrings, etc.) are
+// kept as JSON in localStorage. If there is no localStorage (or it is full, or holds something
+// unexpected), nothing is remembered and `fallback` is used instead.
+function loadStored(key, fallback) {
+  try {
+    return JSON.parse(window.localStorage.getItem(key)) ?? fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function saveStored(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    // Nothing is remembered.
+  }
+}
+
+// Dismissing the warning is remembered per viewed version, until there is a newer release.
+const OUTDATED_WARNING_DISMISSED_KEY = "documenter-outdated-warning-dismissed";
+
+function outdatedWarningDismissals() {
+  const dismissals = loadStored(OUTDATED_WARNING_DISMISSED_KEY, {});
+  return typeof dismissals === "object" ? dismissals : {};
+}
+
+function dismissOutdatedWarning() {
+  const dismissals = outdatedWarningDismissals();
+  dismissals[window.DOCUMENTER_CURRENT_VERSION] = window.DOCUMENTER_NEWEST;
+  saveStored(OUTDATED_WARNING_DISMISSED_KEY, dismissals);
+}
+
+// The numeric parts of a version name (`v1.2.3` => [1, 2, 3]), or null if it isn't one.
+function versionNumbers(version) {
+  const match = /^v?(\d+(?:\.\d+)*)$/.exec(version);
+  return match === null ? null : match[1].split(".").map((x) => parseInt(x));
+}
+
+// Whether version `left` is older than version `right`, by their names. `dev` is the newest,
+// and names which aren't version numbers (e.g. `stable`) are older than any numbered version.
+function isOlderVersion(left, right) {
+  const key = (version) =>
+    version === "dev" ? [Infinity] : versionNumbers(version) ?? [-Infinity];
+  const leftKey = key(left);
+  const rightKey = key(right);
+  for (let i = 0; i < Math.max(leftKey.length, rightKey.length); ++i) {
+    if ((leftKey[i] ?? 0) !== (rightKey[i] ?? 0)) {
+      return (leftKey[i] ?? 0) < (rightKey[i] ?? 0);
+    }
+  }
+  return false;
+}
+
+// The entries of the search index of the docs at `base` (ending with a `/`). Its
+// search_index.js assigns the index to a global; it is valid JSON from the first `{`.
+function fetchSearchIndex(base) {
+  return fetch(base + "search_index.js")
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error("HTTP status " + response.status);
+      }
+      return response.text();
+    })
+    .then((text) => JSON.parse(text.slice(text.indexOf("{"))).docs);
+}
+
+// Describe how far behind the latest release the current version is, using the list of
+// published versions in versions.js if we have it.
+function describeVersionLag() {
+  const current = versionNumbers(window.DOCUMENTER_CURRENT_VERSION);
+  const newest = versionNumbers(window.DOCUMENTER_NEWEST);
+  if (current === null) {
+    return "This documentation is not for the latest stable release, but for either the development version or an older release.";
+  }
+  if (
+    newest !== null &&
+    !isOlderVersion(window.DOCUMENTER_CURRENT_VERSION, window.DOCUMENTER_NEWEST)
+  ) {
+    return (
+      "This documentation is for " +
+      window.DOCUMENTER_CURRENT_VERSION +
+      ", which is newer than the latest stable release (" +
+      window.DOCUMENTER_NEWEST +
+      ")."
+    );
+  }
+
+  let newer = [];
+  if (Array.isArray(window.DOC_VERSIONS)) {
+    // Only count full releases, not aliases such as `v1.2` or `stable`.
+    newer = window.DOC_VERSIONS.filter((version) => {
+      const numbers = versionNumbers(version);
+      return (
+        numbers !== null &&
+        numbers.length === 3 &&
+        isOlderVersion(window.DOCUMENTER_CURRENT_VERSION, version)
+      );
+    });
+  }
+
+  if (newer.length === 0) {
+    return (
+      "This documentation is for " +
+      window.DOCUMENTER_CURRENT_VERSION +
+      ", which is older than the latest stable release (" +
+      window.DOCUMENTER_NEWEST +
+      ")."
+    );
+  }
+
+  return (
+    "This documentation is for " +
+    window.DOCUMENTER_CURRENT_VERSION +
+    ", which is " +
+    newer.length +
+    (newer.length === 1 ? " release" : " releases") +
+    " behind the latest stable release (" +
+    window.DOCUMENTER_NEWEST +
+    ")."
+  );
+}
+
+// The path of this page relative to the root of the docs, e.g. `renderers.html`.
+function currentPagePath() {
+  const base = new URL(window.documenterBaseURL + "/", window.location.href).href;
+  const page = window.location.href.split(/[?#]/)[0];
+  if (!page.startsWith(base)) {
+    return null;
+  }
+  return page.slice(base.length) || "index.html";
+}
+
+// The places in another version to link to, best first: this page at the current anchor,
+// at each of the sections before it (nearest first), and at its top.
+function equivalentCandidates(page) {
+  const candidates = [];
+  const anchor = decodeURIComponent(window.location.hash.slice(1));
+  if (anchor !== "") {
+    candidates.push(anchor);
+    const target = document.getElementById(anchor);
+    if (target !== null) {
+      const headings = Array.from(
+        document.querySelectorAll("h1[id], h2[id], h3[id], h4[id]")
+      ).filter(
+        (heading) =>
+          heading === target ||
+          heading.compareDocumentPosition(target) &
+            Node.DOCUMENT_POSITION_FOLLOWING
+      );
+      headings.reverse().forEach((heading) => candidates.push(heading.id));
+    }
+  }
+  return candidates
+    .map((id) => page + "#" + id)
+    .concat([page]);
+}
+
+// Find the equivalent of this page in another version (e.g. the stable one, or the one picked
+// in the version selector of documenter.js) whose docs are at `base`, using its search index to
+// check which pages and anchors exist there. Resolves to the location relative to `base`, or
+// to null if there is none (or we can't tell).
+function findEquivalentLocation(base) {
+  const page = currentPagePath();
+  if (page === null || typeof window.fetch !== "function") {
+    return Promise.resolve(null);
+  }
+  return fetchSearchIndex(base)
+    .then((docs) => {
+      const locations = new Set(docs.map((entry) => entry.location));
+      return equivalentCandidates(page).find((location) => locations.has(location)) ?? null;
+    })
+    .catch(() => null);
+}
+
 function maybeAddWarning() {
   // DOCUMENTER_NEWEST is defined in versions.js, DOCUMENTER_CURRENT_VERSION and DOCUMENTER_STABLE
   // in siteinfo.js.
@@ -29,18 +207,41 @@ function maybeAddWarning() {
     document.getElementsByTagName("head")[0].appendChild(meta);
   }
 
+  // The user already dismissed the warning for this version (and there was no release since).
+  if (
+    outdatedWarningDismissals()[window.DOCUMENTER_CURRENT_VERSION] ===
+    window.DOCUMENTER_NEWEST
+  ) {
+    return;
+  }
+
   const div = document.createElement("div");
   div.classList.add("outdated-warning-overlay");
   const closer = document.createElement("button");
   closer.classList.add("outdated-warning-closer", "delete");
   closer.addEventListener("click", function () {
+    dismissOutdatedWarning();
     document.body.removeChild(div);
   });
-  const href = window.documenterBaseURL + "/../" + window.DOCUMENTER_STABLE;
-  div.innerHTML =
-    'This documentation is not for the latest stable release, but for either the development version or an older release.<br><a href="' +
-    href +
-    '">Click here to go to the documentation for the latest stable release.</a>';
+
+  // Link to the root of the stable version until we know where this page is in it.
+  const stableBase =
+    window.documenterBaseURL + "/../" + window.DOCUMENTER_STABLE + "/";
+  const link = document.createElement("a");
+  link.href = stableBase;
+  link.textContent =
+    "Click here to go to the documentation for the latest stable release.";
+  findEquivalentLocation(stableBase).then((location) => {
+    if (location !== null) {
+      link.href = stableBase + location;
+      link.textContent =
+        "Click here to go to this page in the documentation for the latest stable release.";
+    }
+  });
+
+  div.appendChild(document.createTextNode(describeVersionLag()));
+  div.appendChild(document.createElement("br"));
+  div.appendChild(link);
   div.appendChild(closer);
   document.body.appendChild(div);
 }